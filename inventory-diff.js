@@ -0,0 +1,140 @@
+"use strict";
+
+// Compares two inventory snapshots by assetId. Shared by the viewer's diff
+// overlay (browser global `InventoryDiff`) and tools/diff-inventory.js.
+// Like inventory-rules.js it stays free of THREE and DOM access; transforms
+// are compared in inventory coordinates, before any viewer mirroring.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./inventory-rules"));
+  } else {
+    root.InventoryDiff = factory(root.InventoryRules);
+  }
+})(typeof self !== "undefined" ? self : this, function (InventoryRules) {
+  // Position in inventory units, rotation in degrees, scale per axis.
+  const DEFAULT_TOLERANCE = { position: 0.001, rotation: 0.1, scale: 0.001 };
+  const CHANGE_KINDS = ["moved", "rotated", "scaled", "remapped"];
+
+  // Same Euler order (XYZ, radians) as the viewer's getQuaternion.
+  function toQuaternion(source) {
+    const r = InventoryRules.parseRotation(source);
+    if (r.kind === "quaternion") {
+      const length = Math.hypot(r.x, r.y, r.z, r.w) || 1;
+      return { x: r.x / length, y: r.y / length, z: r.z / length, w: r.w / length };
+    }
+    if (r.kind === "euler") {
+      const c1 = Math.cos(r.x / 2);
+      const c2 = Math.cos(r.y / 2);
+      const c3 = Math.cos(r.z / 2);
+      const s1 = Math.sin(r.x / 2);
+      const s2 = Math.sin(r.y / 2);
+      const s3 = Math.sin(r.z / 2);
+      return {
+        x: s1 * c2 * c3 + c1 * s2 * s3,
+        y: c1 * s2 * c3 - s1 * c2 * s3,
+        z: c1 * c2 * s3 + s1 * s2 * c3,
+        w: c1 * c2 * c3 - s1 * s2 * s3
+      };
+    }
+    return { x: 0, y: 0, z: 0, w: 1 };
+  }
+
+  function getRotationAngle(a, b) {
+    const qa = toQuaternion(a);
+    const qb = toQuaternion(b);
+    const dot = Math.abs(qa.x * qb.x + qa.y * qb.y + qa.z * qb.z + qa.w * qb.w);
+    return (2 * Math.acos(Math.min(1, dot)) * 180) / Math.PI;
+  }
+
+  function getTransformParts(asset) {
+    const t = (asset && asset.transform) || {};
+    return {
+      position: InventoryRules.getVector3(t.position, { x: 0, y: 0, z: 0 }),
+      rotation: t.rotation,
+      scale: InventoryRules.getVector3(t.scale, { x: 1, y: 1, z: 1 })
+    };
+  }
+
+  function indexById(inventory) {
+    const byId = new Map();
+    const assets = Array.isArray(inventory && inventory.assets) ? inventory.assets : [];
+    assets.forEach((asset) => {
+      if (asset && asset.assetId !== undefined && asset.assetId !== null) byId.set(String(asset.assetId), asset);
+    });
+    return byId;
+  }
+
+  // Returns the change kinds (in CHANGE_KINDS order) and their measurements.
+  function compareAssets(before, after, tolerance) {
+    const a = getTransformParts(before);
+    const b = getTransformParts(after);
+    const changes = [];
+    const details = {};
+
+    const distance = Math.hypot(b.position.x - a.position.x, b.position.y - a.position.y, b.position.z - a.position.z);
+    if (distance > tolerance.position) {
+      changes.push("moved");
+      details.distance = distance;
+    }
+
+    const angle = getRotationAngle(a.rotation, b.rotation);
+    if (angle > tolerance.rotation) {
+      changes.push("rotated");
+      details.angle = angle;
+    }
+
+    const scaleDelta = Math.max(
+      Math.abs(b.scale.x - a.scale.x),
+      Math.abs(b.scale.y - a.scale.y),
+      Math.abs(b.scale.z - a.scale.z)
+    );
+    if (scaleDelta > tolerance.scale) {
+      changes.push("scaled");
+      details.scaleDelta = scaleDelta;
+    }
+
+    if ((before.mapped_file || null) !== (after.mapped_file || null) || before.assetType !== after.assetType) {
+      changes.push("remapped");
+      details.from = before.mapped_file || null;
+      details.to = after.mapped_file || null;
+    }
+
+    return { changes, details };
+  }
+
+  // added / removed hold the assets themselves; changed holds
+  // { assetId, before, after, changes, details }. Order follows `after`,
+  // with removed assets in `before` order.
+  function diffInventories(beforeInventory, afterInventory, options) {
+    const tolerance = Object.assign({}, DEFAULT_TOLERANCE, options && options.tolerance);
+    const before = indexById(beforeInventory);
+    const after = indexById(afterInventory);
+    const result = { added: [], removed: [], changed: [], unchanged: 0, tolerance };
+
+    after.forEach((asset, id) => {
+      const previous = before.get(id);
+      if (!previous) {
+        result.added.push(asset);
+        return;
+      }
+      const comparison = compareAssets(previous, asset, tolerance);
+      if (comparison.changes.length === 0) {
+        result.unchanged += 1;
+      } else {
+        result.changed.push({ assetId: id, before: previous, after: asset, ...comparison });
+      }
+    });
+
+    before.forEach((asset, id) => {
+      if (!after.has(id)) result.removed.push(asset);
+    });
+    return result;
+  }
+
+  return {
+    DEFAULT_TOLERANCE,
+    CHANGE_KINDS,
+    getRotationAngle,
+    diffInventories
+  };
+});
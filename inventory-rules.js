@@ -0,0 +1,98 @@
+"use strict";
+
+// Inventory rules shared by the viewer (browser global `InventoryRules`) and
+// the Node tools in tools/ (`require("../inventory-rules")`). Keep this file
+// free of THREE and DOM access so both sides can load it.
+(function (root, factory) {
+  const rules = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = rules;
+  } else {
+    root.InventoryRules = rules;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const MODELS_PATH = "models/";
+  const IMAGES_PATH = "images/";
+  const DOCUMENTS_PATH = "documents/";
+
+  const ASSET_TYPE_PATHS = {
+    model: MODELS_PATH,
+    image: IMAGES_PATH,
+    document: DOCUMENTS_PATH
+  };
+
+  function isSupportedAssetType(assetType) {
+    return Object.prototype.hasOwnProperty.call(ASSET_TYPE_PATHS, assetType);
+  }
+
+  // Path of the asset's local file relative to the inventory, or null when
+  // the type is unsupported or nothing is mapped.
+  function getAssetFilePath(asset) {
+    if (!asset || !isSupportedAssetType(asset.assetType) || !asset.mapped_file) return null;
+    return `${ASSET_TYPE_PATHS[asset.assetType]}${asset.mapped_file}`;
+  }
+
+  function asNumber(value, fallback) {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : fallback;
+  }
+
+  function getVector3(source, fallback) {
+    const ref = source || {};
+    return {
+      x: asNumber(ref.x, fallback.x),
+      y: asNumber(ref.y, fallback.y),
+      z: asNumber(ref.z, fallback.z)
+    };
+  }
+
+  // Rotations come as [x, y, z, w], {x, y, z, w} or Euler {x, y, z}.
+  // `kind` tells the caller which one was found; quaternions are not normalized.
+  function parseRotation(source) {
+    const r = source;
+
+    if (Array.isArray(r) && r.length === 4) {
+      return {
+        kind: "quaternion",
+        x: asNumber(r[0], 0),
+        y: asNumber(r[1], 0),
+        z: asNumber(r[2], 0),
+        w: asNumber(r[3], 1)
+      };
+    }
+
+    if (r && typeof r === "object" && "x" in r && "y" in r && "z" in r && "w" in r) {
+      return {
+        kind: "quaternion",
+        x: asNumber(r.x, 0),
+        y: asNumber(r.y, 0),
+        z: asNumber(r.z, 0),
+        w: asNumber(r.w, 1)
+      };
+    }
+
+    if (r && typeof r === "object") {
+      return {
+        kind: "euler",
+        x: asNumber(r.x, 0),
+        y: asNumber(r.y, 0),
+        z: asNumber(r.z, 0),
+        w: 0
+      };
+    }
+
+    return { kind: "identity", x: 0, y: 0, z: 0, w: 1 };
+  }
+
+  return {
+    MODELS_PATH,
+    IMAGES_PATH,
+    DOCUMENTS_PATH,
+    ASSET_TYPE_PATHS,
+    isSupportedAssetType,
+    getAssetFilePath,
+    asNumber,
+    getVector3,
+    parseRotation
+  };
+});
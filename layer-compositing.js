@@ -0,0 +1,187 @@
+"use strict";
+
+// Stable stacking for image planes that share a plane, used by both
+// viewers. Overlapping planes closer than DEPTH_TOLERANCE along a common
+// normal cannot be separated by the depth buffer, so within such a group
+// each plane gets a rank from its layer order: the rank picks a polygon
+// offset that pulls higher layers towards the camera and the draw order
+// inside the group. Two-sided planes are a front and a back mesh; the back
+// gets the reversed rank so the stack reads correctly from behind too.
+//
+// renderOrder is compared before depth for every transparent object, so
+// ranks kept there would draw each group after the rest of the scene.
+// Instead install() replaces the renderer's transparent sort: a group sorts
+// as one object at the depth of its centre, and its members by rank.
+window.LayerCompositing = (function () {
+  const NORMAL_TOLERANCE = Math.cos(THREE.MathUtils.degToRad(1));
+  const DEPTH_TOLERANCE = 0.01;
+  const POLYGON_OFFSET_FACTOR = 1;
+  const POLYGON_OFFSET_UNITS = 4;
+
+  const tmpDelta = new THREE.Vector3();
+  const tmpCenter = new THREE.Vector3();
+  const tmpProjection = new THREE.Matrix4();
+
+  function find(parents, i) {
+    while (parents[i] !== i) {
+      parents[i] = parents[parents[i]];
+      i = parents[i];
+    }
+    return i;
+  }
+
+  // Planes facing either way along the same axis still z-fight.
+  function areCoplanar(a, b) {
+    if (Math.abs(a.normal.dot(b.normal)) < NORMAL_TOLERANCE) return false;
+    tmpDelta.subVectors(b.center, a.center);
+    if (Math.abs(tmpDelta.dot(a.normal)) > DEPTH_TOLERANCE) return false;
+    // Bounding circles in the plane; a loose test only adds harmless offsets.
+    return tmpDelta.lengthSq() <= (a.radius + b.radius) * (a.radius + b.radius);
+  }
+
+  // planes: [{ order, center, normal, radius, ... }] with center and unit
+  // normal as THREE.Vector3 in one shared space. Returns the groups of two
+  // or more overlapping coplanar planes, each sorted by `order`; a plane
+  // touching two groups merges them.
+  function findCoplanarGroups(planes) {
+    const parents = planes.map((_, i) => i);
+    for (let i = 0; i < planes.length; i += 1) {
+      for (let j = i + 1; j < planes.length; j += 1) {
+        if (areCoplanar(planes[i], planes[j])) parents[find(parents, j)] = find(parents, i);
+      }
+    }
+
+    const groups = new Map();
+    planes.forEach((plane, i) => {
+      const root = find(parents, i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(plane);
+    });
+    return Array.from(groups.values())
+      .filter((group) => group.length > 1)
+      .map((group) => group.sort((a, b) => a.order - b.order));
+  }
+
+  // Ranked materials are clones of the shared ones, so a texture used by
+  // many planes still has one base material; `sources` maps back. `members`
+  // maps ranked meshes to { group, rank } for the transparent sort, and
+  // `groups` each group array from findCoplanarGroups to its sort entry.
+  function createMaterialCache() {
+    return { variants: new Map(), sources: new Map(), members: new Map(), groups: new Map(), nextGroupId: 1 };
+  }
+
+  function getSourceMaterial(cache, material) {
+    return cache.sources.get(material) || material;
+  }
+
+  function getRankedMaterial(cache, material, rank) {
+    const base = getSourceMaterial(cache, material);
+    if (rank === 0) return base;
+
+    const key = `${base.uuid}:${rank}`;
+    let variant = cache.variants.get(key);
+    if (!variant) {
+      variant = base.clone();
+      variant.polygonOffset = true;
+      variant.polygonOffsetFactor = -POLYGON_OFFSET_FACTOR * rank;
+      variant.polygonOffsetUnits = -POLYGON_OFFSET_UNITS * rank;
+      cache.variants.set(key, variant);
+      cache.sources.set(variant, base);
+    }
+    return variant;
+  }
+
+  function disposeMaterialCache(cache) {
+    cache.variants.forEach((material) => material.dispose());
+    cache.variants.clear();
+    cache.sources.clear();
+    cache.members.clear();
+    cache.groups.clear();
+  }
+
+  function removeMember(cache, mesh) {
+    const member = cache.members.get(mesh);
+    if (!member) return;
+    cache.members.delete(mesh);
+    member.group.meshes.delete(mesh);
+    if (member.group.meshes.size === 0) cache.groups.delete(member.group.key);
+  }
+
+  function resetPlane(cache, front, back) {
+    removeMember(cache, front);
+    removeMember(cache, back);
+    front.material = getSourceMaterial(cache, front.material);
+    back.material = getSourceMaterial(cache, back.material);
+  }
+
+  // `group` is the array from findCoplanarGroups that the plane belongs to.
+  function rankPlane(cache, front, back, rank, group) {
+    let entry = cache.groups.get(group);
+    if (!entry) {
+      entry = { key: group, id: cache.nextGroupId, meshes: new Set(), z: 0 };
+      cache.nextGroupId += 1;
+      cache.groups.set(group, entry);
+    }
+    const backRank = group.length - 1 - rank;
+    removeMember(cache, front);
+    removeMember(cache, back);
+    cache.members.set(front, { group: entry, rank });
+    cache.members.set(back, { group: entry, rank: backRank });
+    entry.meshes.add(front).add(back);
+    front.material = getRankedMaterial(cache, front.material, rank);
+    back.material = getRankedMaterial(cache, back.material, backRank);
+  }
+
+  // Same projected depth the renderer gives single objects, taken at the
+  // mean world position of the group so it follows moving layers.
+  function updateGroupDepths(cache, camera) {
+    tmpProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    cache.groups.forEach((entry) => {
+      tmpCenter.set(0, 0, 0);
+      entry.meshes.forEach((mesh) => {
+        tmpDelta.setFromMatrixPosition(mesh.matrixWorld);
+        tmpCenter.add(tmpDelta);
+      });
+      entry.z = tmpCenter.divideScalar(entry.meshes.size).applyMatrix4(tmpProjection).z;
+    });
+  }
+
+  // three.js' own reversePainterSortStable, with group members keyed by
+  // their group's depth, then group and rank.
+  function compareTransparent(cache, a, b) {
+    if (a.groupOrder !== b.groupOrder) return a.groupOrder - b.groupOrder;
+    if (a.renderOrder !== b.renderOrder) return a.renderOrder - b.renderOrder;
+    const ma = cache ? cache.members.get(a.object) : null;
+    const mb = cache ? cache.members.get(b.object) : null;
+    const za = ma ? ma.group.z : a.z;
+    const zb = mb ? mb.group.z : b.z;
+    if (za !== zb) return zb - za;
+    const ga = ma ? ma.group.id : 0;
+    const gb = mb ? mb.group.id : 0;
+    if (ga !== gb) return ga - gb;
+    if (ma && mb && ma.rank !== mb.rank) return ma.rank - mb.rank;
+    return a.id - b.id;
+  }
+
+  // getCache() returns the current cache (or null), so a viewer that swaps
+  // caches installs once. Uses the scene's onBeforeRender, which runs after
+  // world matrices are updated and before objects are sorted.
+  function install(renderer, scene, getCache) {
+    scene.onBeforeRender = (_renderer, _scene, camera) => {
+      const cache = getCache();
+      if (cache && cache.groups.size > 0) updateGroupDepths(cache, camera);
+    };
+    renderer.setTransparentSort((a, b) => compareTransparent(getCache(), a, b));
+  }
+
+  return {
+    DEPTH_TOLERANCE,
+    findCoplanarGroups,
+    createMaterialCache,
+    getSourceMaterial,
+    disposeMaterialCache,
+    resetPlane,
+    rankPlane,
+    install
+  };
+})();
@@ -1,26 +1,131 @@
 "use strict";
 
 const INVENTORY_PATH = "asset_inventory_full.json";
-const MODELS_PATH = "models/";
-const IMAGES_PATH = "images/";
+const PORTALS_PATH = "portals.json";
+const TOUR_PATH = "tour.json";
+const SCULPTURE_VIEWER_PATH = "sculptures/";
+const { MODELS_PATH, IMAGES_PATH, DOCUMENTS_PATH, asNumber, getVector3 } = InventoryRules;
+const METADATA_PATH = "metadata/";
+const BASIS_PATH = `${IMAGES_PATH}basis/`;
+const BASIS_MANIFEST_PATH = `${BASIS_PATH}manifest.json`;
+const BASIS_TRANSCODER_PATH = "vendor/three@0.115.0/examples/js/libs/basis/";
+const PDF_WORKER_URL = "vendor/pdfjs-dist@2.16.105/build/pdf.worker.min.js";
 
 const FALLBACK_SIZE = { w: 1, h: 1 };
 const MODEL_CONCURRENCY = 1;
 const IMAGE_CONCURRENCY = 8;
+const DOCUMENT_CONCURRENCY = 2;
+const LOAD_CONCURRENCY = {
+  model: MODEL_CONCURRENCY,
+  image: IMAGE_CONCURRENCY,
+  document: DOCUMENT_CONCURRENCY
+};
+// Performance overlay names for the per-type load phases.
+const LOAD_PHASE_LABELS = { model: "Modelos", image: "Imágenes", document: "Documentos" };
+// Assets outside the view frustum count as this many times farther away.
+const OUT_OF_VIEW_PRIORITY_FACTOR = 4;
+const PROXY_COLOR = 0x6f7d96;
+const DOCUMENT_PAGE_RESOLUTION = 1024;
 const STATUS_UPDATE_EVERY = 10;
 const YIELD_TO_UI_EVERY = 12;
 const MAX_PIXEL_RATIO = 2;
+const CLICK_DRAG_TOLERANCE = 4;
+const CAMERA_FLIGHT_SECONDS = 0.9;
+const FLIGHT_MIN_DISTANCE = 2;
+const WALK_EYE_HEIGHT = 1.6;
+const WALK_SPEED = 3.5;
+const WALK_RUN_MULTIPLIER = 2.2;
+const WALK_BODY_RADIUS = 0.35;
+const WALK_STEP_HEIGHT = 0.35;
+const WALK_ORBIT_TARGET_DISTANCE = 6;
+const PORTAL_TRIGGER_PADDING = 0.2;
+const VIEWPOINTS_STORAGE_KEY = "teleport-lab-viewpoints";
+const VIEWPOINTS_FILE_NAME = "teleport_lab_viewpoints.json";
+const VIEW_HASH_DELAY_MS = 300;
+const TOUR_FLIGHT_SECONDS = 2.5;
+const TOUR_HOLD_SECONDS = 4;
+const EXPORT_FILE_NAME = "teleport_lab.glb";
+const EXPORT_MAX_TEXTURE_SIZE = 2048;
+const SELECTION_COLOR = 0x5fb4ff;
+// Inventory diff overlay (?diff=<older inventory.json> or "Comparar").
+const DIFF_COLORS = { added: 0x58d68d, transform: 0xffa940, remapped: 0xb48cff, removed: 0xff5d5d };
+const DIFF_GHOST_OPACITY = 0.18;
+const DIFF_CHANGE_LABELS = { moved: "movido", rotated: "rotado", scaled: "escalado", remapped: "reasignado" };
 
 const VIEWER_CONFIG = {
   // Spatial export currently appears mirrored in this viewer; keep this on.
   // If source transforms are later exported in native Three.js convention, set to false.
   mirrorXAxisOnImport: true,
   enableShadows: true,
-  shadowCasterLimit: 80
+  // Meshes allowed to cast shadows, handed to the models nearest the camera.
+  shadowCasterLimit: 80,
+  // Beyond these camera distances models draw as a bounding-box proxy,
+  // image planes are hidden and animations stop. Off-screen models stop
+  // animating at any distance.
+  lodModelDistance: 70,
+  imageCullDistance: 90,
+  animationCullDistance: 60,
+  // Start every clip of an animated model when it loads; the inspector's
+  // animation panel can pause, loop or scrub each one afterwards.
+  autoplayAnimations: true,
+  // Longest texture side after loading (also capped by the GPU limit).
+  maxTextureSize: 2048,
+  textureMipmaps: true,
+  // Use images/basis/ variants from tools/compress-textures.js when present.
+  compressedTextures: true,
+  // Premultiplied alpha for image planes, and stable stacking (draw order
+  // within the group plus polygon offset, by inventory order) for
+  // overlapping coplanar ones.
+  layerCompositing: true
 };
+// Switching back needs to get this much (as a fraction) closer than the
+// switch-out distance, so assets at the threshold do not flicker.
+const LOD_HYSTERESIS = 0.1;
+const LOD_CAMERA_EPSILON = 0.05;
+const LOD_PROXY_COLOR = 0x7f8796;
+// Files used by at least this many assets are drawn through InstancedMesh
+// batches when their materials are opaque. The per-asset meshes stay in `world` on a layer the camera does
+// not render, so picking, bounds, LOD and export keep working on them.
+const INSTANCE_MIN_REPEATS = 2;
+const INSTANCE_SOURCE_LAYER = 1;
 
 const statusEl = document.querySelector("#status");
 const canvas = document.querySelector("#c");
+const inspectorEl = document.querySelector("#inspector");
+const inspectorTitleEl = document.querySelector("#inspector-title");
+const inspectorFieldsEl = document.querySelector("#inspector-fields");
+const inspectorCloseEl = document.querySelector("#inspector-close");
+const exportButtonEl = document.querySelector("#export-glb");
+const walkToggleEl = document.querySelector("#walk-toggle");
+const animationsPauseEl = document.querySelector("#animations-pause");
+const walkHintEl = document.querySelector("#walk-hint");
+const gpuMemoryEl = document.querySelector("#gpu-memory");
+const perfToggleEl = document.querySelector("#perf-toggle");
+const diffOpenEl = document.querySelector("#diff-open");
+const diffFileEl = document.querySelector("#diff-file");
+const diffLegendEl = document.querySelector("#diff-legend");
+const viewpointSelectEl = document.querySelector("#viewpoint-select");
+const viewpointSaveEl = document.querySelector("#viewpoint-save");
+const viewpointDeleteEl = document.querySelector("#viewpoint-delete");
+const viewpointExportEl = document.querySelector("#viewpoint-export");
+const viewpointShareEl = document.querySelector("#viewpoint-share");
+const tourEl = document.querySelector("#tour");
+const tourCaptionEl = document.querySelector("#tour-caption");
+const tourProgressEl = document.querySelector("#tour-progress");
+const tourPrevEl = document.querySelector("#tour-prev");
+const tourPlayEl = document.querySelector("#tour-play");
+const tourNextEl = document.querySelector("#tour-next");
+const browserEl = document.querySelector("#browser");
+const browserToggleEl = document.querySelector("#browser-toggle");
+const browserSearchEl = document.querySelector("#browser-search");
+const browserCountEl = document.querySelector("#browser-count");
+const browserListEl = document.querySelector("#browser-list");
+const filterSelectEls = {
+  assetType: document.querySelector("#filter-type"),
+  provider: document.querySelector("#filter-provider"),
+  creator: document.querySelector("#filter-creator"),
+  state: document.querySelector("#filter-state")
+};
 
 const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: false });
 renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO));
@@ -31,6 +136,25 @@ renderer.toneMappingExposure = 0.95;
 renderer.shadowMap.enabled = VIEWER_CONFIG.enableShadows;
 renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
+const perfHud = PerfHud.create({
+  renderer,
+  container: document.body,
+  labels: {
+    title: "Rendimiento",
+    frame: "Tiempo de frame",
+    calls: "Draw calls",
+    triangles: "Triángulos",
+    geometries: "Geometrías",
+    textures: "Texturas",
+    mixers: "Animaciones activas",
+    phases: "Fases de carga",
+    heaviestTriangles: "Más triángulos",
+    heaviestTextures: "Más memoria de textura"
+  },
+  getMixerCount: () => activeMixers.length,
+  getAssets: getAssetWeights
+});
+
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x0a0a12);
 scene.fog = new THREE.FogExp2(0x0a0a12, 0.0016);
@@ -42,23 +166,85 @@ const controls = new THREE.OrbitControls(camera, canvas);
 controls.target.set(0, 0, 0);
 controls.update();
 
+const walkControls = new THREE.PointerLockControls(camera, canvas);
+const walkState = {
+  active: false,
+  keys: new Set(),
+  boxes: [],
+  portals: [],
+  currentPortal: null
+};
+
 const world = new THREE.Group();
 scene.add(world);
 
+// Placeholders for assets still loading. Kept outside `world` so bounds,
+// picking and export only ever see real content.
+const proxies = new THREE.Group();
+scene.add(proxies);
+
 const textureLoader = new THREE.TextureLoader();
 const gltfLoader = new THREE.GLTFLoader();
 const clock = new THREE.Clock();
 
-const mixers = [];
+// mixer -> [{ clip, action }] in clip order.
+const mixerActions = new Map();
+// holder -> mixer, for the inspector's animation panel.
+const modelMixers = new Map();
+// `panel` describes the animation controls currently in the inspector.
+// `resumed` holds mixers played again from the panel while "Pausar
+// animaciones" is on; they run while every other mixer stays paused.
+const animationState = { pausedAll: false, resumed: new Set(), panel: null };
+// Derived from the mixers the LOD pass left running; see updateLevelOfDetail.
 let hasAnimatedModels = false;
 let renderLoopActive = false;
 let frameRequested = true;
-let shadowCasterBudget = VIEWER_CONFIG.shadowCasterLimit;
 
-const texturePromiseCache = new Map();
+const lodModels = [];
+const lodImages = [];
+const activeMixers = [];
+const lodCamera = { position: new THREE.Vector3(Infinity, 0, 0), quaternion: new THREE.Quaternion(), dirty: true };
+const lodProxyMaterial = new THREE.MeshStandardMaterial({
+  color: LOD_PROXY_COLOR,
+  roughness: 0.9,
+  metalness: 0
+});
+
+// fileName -> { promise, texture, refs, bytes }. refs counts image holders
+// currently shown with the texture; at zero its GPU copy is released and
+// re-uploaded by three.js the next time something draws it.
+const textureEntries = new Map();
+// holder -> { fileName, source, acquired }
+const imageTextureUses = new Map();
+let basisManifestPromise = null;
+let basisLoader = null;
+const documentPromiseCache = new Map();
+const nftStore = NftMetadata.createStore(METADATA_PATH);
 const modelTemplateCache = new Map();
 const imageMaterialCache = new Map();
+// Textures without partial alpha. Their planes are drawn opaque with only
+// the alpha test, so they need no sorting and can be instanced.
+const opaqueTextures = new WeakSet();
 const imageGeometryCache = new Map();
+const compositeMaterials = LayerCompositing.createMaterialCache();
+LayerCompositing.install(renderer, scene, () => compositeMaterials);
+
+const proxyMaterial = new THREE.LineBasicMaterial({
+  color: PROXY_COLOR,
+  transparent: true,
+  opacity: 0.55
+});
+// Images and documents are unit planes centred on their origin. Models are
+// only scaled to a unit size and keep the origin of their file, so until the
+// first copy of a file loads its proxies are a guess (a unit box standing on
+// the origin); modelBounds then holds the file's real bounds as a box and
+// its outline.
+const proxyGeometries = {
+  model: new THREE.EdgesGeometry(new THREE.BoxBufferGeometry(1, 1, 1).translate(0, 0.5, 0)),
+  flat: new THREE.EdgesGeometry(new THREE.PlaneBufferGeometry(1, 1))
+};
+
+const modelBounds = new Map();
 
 const fallbackMaterial = new THREE.MeshStandardMaterial({
   map: buildFallbackTexture(),
@@ -80,6 +266,55 @@ const tmpBox = new THREE.Box3();
 const tmpCenter = new THREE.Vector3();
 const tmpSize = new THREE.Vector3();
 
+const raycaster = new THREE.Raycaster();
+raycaster.layers.enable(INSTANCE_SOURCE_LAYER);
+const pointer = new THREE.Vector2();
+const pointerDown = { x: 0, y: 0, active: false };
+let selectedHolder = null;
+let cameraFlight = null;
+
+const assetEntries = [];
+const portalsByAssetId = new Map();
+// Hash writes wait until the incoming link has been applied, so loading
+// does not overwrite the view someone shared.
+const viewHash = { ready: false, timer: 0, last: "" };
+const tour = { stops: [], index: -1, playing: false, holdElapsed: 0 };
+const assetFilters = { text: "", assetType: "", provider: "", creator: "", state: "" };
+
+const selectionBox = new THREE.BoxHelper(undefined, SELECTION_COLOR);
+selectionBox.material.depthTest = false;
+selectionBox.material.transparent = true;
+selectionBox.renderOrder = 999;
+selectionBox.visible = false;
+scene.add(selectionBox);
+
+// Diff markers follow inventory transforms like the loading proxies, so
+// they work before assets load and stay out of bounds, picking and export.
+const diffOverlay = new THREE.Group();
+scene.add(diffOverlay);
+// byAssetId: assetId -> { status, change }; markers: entry -> LineSegments.
+const diffState = { result: null, source: "", byAssetId: new Map(), markers: new Map() };
+const diffMaterials = {};
+Object.keys(DIFF_COLORS).forEach((status) => {
+  diffMaterials[status] = new THREE.LineBasicMaterial({
+    color: DIFF_COLORS[status],
+    transparent: true,
+    opacity: 0.9,
+    depthTest: false
+  });
+});
+const diffGhostMaterial = new THREE.MeshBasicMaterial({
+  color: DIFF_COLORS.removed,
+  transparent: true,
+  opacity: DIFF_GHOST_OPACITY,
+  side: THREE.DoubleSide,
+  depthWrite: false
+});
+const diffGhostGeometries = {
+  model: new THREE.BoxBufferGeometry(1, 1, 1).translate(0, 0.5, 0),
+  flat: new THREE.PlaneBufferGeometry(1, 1)
+};
+
 const atmosphere = createAtmosphereDome(scene);
 createLightingRig(scene);
 const ground = createGroundReference(scene);
@@ -88,11 +323,6 @@ function setStatus(text) {
   if (statusEl) statusEl.textContent = text;
 }
 
-function asNumber(value, fallback) {
-  const n = Number(value);
-  return Number.isFinite(n) ? n : fallback;
-}
-
 function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
 }
@@ -110,49 +340,18 @@ function isFiniteBox(box) {
     isFiniteVec3(box.max);
 }
 
-function getVector3(source, fallback) {
-  const ref = source || {};
-  return {
-    x: asNumber(ref.x, fallback.x),
-    y: asNumber(ref.y, fallback.y),
-    z: asNumber(ref.z, fallback.z)
-  };
-}
-
 function getQuaternion(source, targetQuaternion) {
   const q = targetQuaternion || new THREE.Quaternion();
-  const r = source;
-
-  if (Array.isArray(r) && r.length === 4) {
-    q.set(
-      asNumber(r[0], 0),
-      asNumber(r[1], 0),
-      asNumber(r[2], 0),
-      asNumber(r[3], 1)
-    );
-    q.normalize();
-    return q;
-  }
+  const r = InventoryRules.parseRotation(source);
 
-  if (r && typeof r === "object" && "x" in r && "y" in r && "z" in r && "w" in r) {
-    q.set(
-      asNumber(r.x, 0),
-      asNumber(r.y, 0),
-      asNumber(r.z, 0),
-      asNumber(r.w, 1)
-    );
+  if (r.kind === "quaternion") {
+    q.set(r.x, r.y, r.z, r.w);
     q.normalize();
     return q;
   }
 
-  if (r && typeof r === "object") {
-    q.setFromEuler(
-      new THREE.Euler(
-        asNumber(r.x, 0),
-        asNumber(r.y, 0),
-        asNumber(r.z, 0)
-      )
-    );
+  if (r.kind === "euler") {
+    q.setFromEuler(new THREE.Euler(r.x, r.y, r.z));
     return q;
   }
 
@@ -270,7 +469,7 @@ function getImageMaterial(texture) {
 
   const mat = new THREE.MeshStandardMaterial({
     map: texture,
-    transparent: true,
+    transparent: !opaqueTextures.has(texture),
     alphaTest: 0.02,
     roughness: 0.85,
     metalness: 0.06,
@@ -278,6 +477,7 @@ function getImageMaterial(texture) {
     emissiveIntensity: 0.08,
     depthTest: true,
     depthWrite: true,
+    premultipliedAlpha: VIEWER_CONFIG.layerCompositing,
     side: THREE.FrontSide
   });
   imageMaterialCache.set(key, mat);
@@ -295,30 +495,241 @@ function addFallbackPlane(asset, reason) {
   holder.userData.asset = asset || null;
   holder.userData.error = reason || "load_error";
   world.add(holder);
+  return holder;
 }
 
-function loadTextureByFile(fileName) {
-  if (texturePromiseCache.has(fileName)) return texturePromiseCache.get(fileName);
+function getProxyGeometry(asset) {
+  if (asset.assetType !== "model") return proxyGeometries.flat;
+  const bounds = modelBounds.get(asset.mapped_file);
+  return bounds ? bounds.outline : proxyGeometries.model;
+}
 
-  const p = new Promise((resolve, reject) => {
+function addProxy(entry) {
+  const asset = entry.asset;
+  const geometry = getProxyGeometry(asset);
+  const proxy = new THREE.LineSegments(geometry, proxyMaterial);
+  applyTransform(proxy, asset.transform);
+  proxy.visible = entryMatchesFilters(entry);
+  proxies.add(proxy);
+  entry.proxy = proxy;
+}
+
+// Called when a model file first loads, so later proxies (and pending ones
+// of the same file) match what will replace them. Diff markers of that file
+// are refitted too.
+function setModelBounds(fileName, box) {
+  if (modelBounds.has(fileName)) return;
+  const outline = new THREE.EdgesGeometry(box);
+  modelBounds.set(fileName, { box, outline });
+  for (let i = 0; i < assetEntries.length; i += 1) {
+    const entry = assetEntries[i];
+    if (entry.proxy && entry.asset.assetType === "model" && entry.asset.mapped_file === fileName) {
+      entry.proxy.geometry = outline;
+    }
+  }
+  diffState.markers.forEach((marker, entry) => {
+    if (entry.asset.assetType === "model" && entry.asset.mapped_file === fileName) marker.geometry = outline;
+  });
+}
+
+function removeProxy(entry) {
+  if (!entry.proxy) return;
+  proxies.remove(entry.proxy);
+  entry.proxy = null;
+}
+
+function loadBasisManifest() {
+  if (!basisManifestPromise) {
+    basisManifestPromise = fetch(BASIS_MANIFEST_PATH)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((manifest) => (manifest && manifest.files) || {})
+      .catch(() => ({}));
+  }
+  return basisManifestPromise;
+}
+
+// null when the loader script is missing or the GPU has no format the
+// transcoder can target; callers then use the source image.
+function getBasisLoader() {
+  if (basisLoader !== null) return basisLoader || null;
+  basisLoader = false;
+  if (!THREE.BasisTextureLoader) return null;
+
+  try {
+    const loader = new THREE.BasisTextureLoader();
+    loader.setTranscoderPath(BASIS_TRANSCODER_PATH);
+    loader.detectSupport(renderer);
+    basisLoader = loader;
+  } catch (err) {
+    console.warn("Basis textures disabled", err);
+  }
+  return basisLoader || null;
+}
+
+function isPowerOfTwo(n) {
+  return n > 0 && (n & (n - 1)) === 0;
+}
+
+function getTextureSizeLimit() {
+  return Math.min(VIEWER_CONFIG.maxTextureSize, renderer.capabilities.maxTextureSize);
+}
+
+function downscaleImage(image, limit) {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const scale = limit / Math.max(width, height);
+  if (!(scale < 1)) return image;
+
+  const c = document.createElement("canvas");
+  c.width = Math.max(1, Math.round(width * scale));
+  c.height = Math.max(1, Math.round(height * scale));
+  c.getContext("2d").drawImage(image, 0, 0, c.width, c.height);
+  return c;
+}
+
+// WebGL1 can only mipmap power-of-two textures; those that are not keep
+// plain linear filtering rather than being stretched to a new aspect.
+function applyMipPolicy(texture) {
+  const { width, height } = texture.image;
+  const mipmaps =
+    VIEWER_CONFIG.textureMipmaps &&
+    (renderer.capabilities.isWebGL2 || (isPowerOfTwo(width) && isPowerOfTwo(height)));
+  texture.generateMipmaps = mipmaps;
+  texture.minFilter = mipmaps ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter;
+  return mipmaps;
+}
+
+function isJpegFile(fileName) {
+  return /\.(jpe?g|jfif)$/i.test(fileName);
+}
+
+// True when any pixel is neither fully transparent nor fully opaque, i.e.
+// the image needs blending rather than just the alpha test.
+function hasPartialAlpha(image) {
+  const c = document.createElement("canvas");
+  c.width = image.width;
+  c.height = image.height;
+  const ctx = c.getContext("2d");
+  ctx.drawImage(image, 0, 0);
+  const data = ctx.getImageData(0, 0, c.width, c.height).data;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] > 0 && data[i] < 255) return true;
+  }
+  return false;
+}
+
+function loadSourceTexture(fileName) {
+  return new Promise((resolve, reject) => {
     textureLoader.load(
       `${IMAGES_PATH}${fileName}`,
       (tex) => {
-        tex.encoding = THREE.sRGBEncoding;
-        tex.minFilter = THREE.LinearFilter;
+        tex.image = downscaleImage(tex.image, getTextureSizeLimit());
+        applyMipPolicy(tex);
         tex.magFilter = THREE.LinearFilter;
-        tex.generateMipmaps = false;
-        tex.anisotropy = Math.min(renderer.capabilities.getMaxAnisotropy(), 4);
         tex.needsUpdate = true;
-        resolve(tex);
+        const opaque = isJpegFile(fileName) || !hasPartialAlpha(tex.image);
+        resolve({ texture: tex, bytes: PerfHud.estimateTextureBytes(tex), opaque });
       },
       undefined,
       (err) => reject(err || new Error("Texture load failed"))
     );
   });
+}
 
-  texturePromiseCache.set(fileName, p);
-  return p;
+// Compressed files already carry their mip chain, generated at build time
+// with a flipped Y to match the source images. Their pixels are not read
+// back, so only JPEG sources count as opaque.
+function loadCompressedTexture(basisFile) {
+  const loader = getBasisLoader();
+  if (!loader) return Promise.reject(new Error("Basis not supported"));
+
+  return new Promise((resolve, reject) => {
+    loader.load(
+      `${BASIS_PATH}${basisFile}`,
+      (tex) => {
+        tex.magFilter = THREE.LinearFilter;
+        resolve({ texture: tex, bytes: PerfHud.estimateTextureBytes(tex), opaque: false });
+      },
+      undefined,
+      (err) => reject(err || new Error("Basis texture load failed"))
+    );
+  });
+}
+
+async function loadManagedTexture(fileName) {
+  const basisFiles = VIEWER_CONFIG.compressedTextures ? await loadBasisManifest() : {};
+  let loaded = null;
+  if (basisFiles[fileName]) {
+    loaded = await loadCompressedTexture(basisFiles[fileName]).catch((err) => {
+      console.warn(`Basis variant of ${fileName} not used`, err);
+      return null;
+    });
+  }
+  if (!loaded) loaded = await loadSourceTexture(fileName);
+
+  if (loaded.opaque || isJpegFile(fileName)) opaqueTextures.add(loaded.texture);
+  loaded.texture.encoding = THREE.sRGBEncoding;
+  loaded.texture.anisotropy = Math.min(renderer.capabilities.getMaxAnisotropy(), 4);
+  return loaded;
+}
+
+function loadTextureByFile(fileName) {
+  if (textureEntries.has(fileName)) return textureEntries.get(fileName).promise;
+
+  const entry = { promise: null, texture: null, refs: 0, bytes: 0 };
+  entry.promise = loadManagedTexture(fileName).then((loaded) => {
+    entry.texture = loaded.texture;
+    entry.bytes = loaded.bytes;
+    return loaded.texture;
+  });
+  entry.promise.catch(() => textureEntries.delete(fileName));
+
+  textureEntries.set(fileName, entry);
+  return entry.promise;
+}
+
+function acquireTexture(fileName) {
+  const entry = textureEntries.get(fileName);
+  if (!entry) return;
+  entry.refs += 1;
+}
+
+function releaseTexture(fileName) {
+  const entry = textureEntries.get(fileName);
+  if (!entry || entry.refs <= 0) return;
+  entry.refs -= 1;
+  if (entry.refs === 0 && entry.texture) entry.texture.dispose();
+}
+
+function registerImageTextureUse(holder, fileName) {
+  imageTextureUses.set(holder, { fileName, source: holder.children[0], acquired: false });
+}
+
+// A texture is wanted while any holder using it is drawn: filters and image
+// culling both go through `visible`, so one check covers them.
+function syncTextureUse(use) {
+  const visible = isVisibleInWorld(use.source);
+  if (visible === use.acquired) return false;
+  use.acquired = visible;
+  if (visible) {
+    acquireTexture(use.fileName);
+  } else {
+    releaseTexture(use.fileName);
+  }
+  return true;
+}
+
+function updateTextureMemoryHud() {
+  if (!gpuMemoryEl) return;
+  let bytes = 0;
+  let resident = 0;
+  textureEntries.forEach((entry) => {
+    if (entry.refs <= 0 || !entry.texture) return;
+    bytes += entry.bytes;
+    resident += 1;
+  });
+  const mb = (bytes / (1024 * 1024)).toFixed(1);
+  gpuMemoryEl.textContent = `Texturas en GPU: ${resident}/${textureEntries.size} · ~${mb} MB`;
 }
 
 function loadModelTemplate(fileName) {
@@ -356,215 +767,2292 @@ function cloneModel(template) {
   return template.clone(true);
 }
 
-async function addImageAsset(asset) {
-  const fileName = asset.mapped_file;
-  if (!fileName) throw new Error("missing mapped_file");
+function loadDocumentByFile(fileName) {
+  if (documentPromiseCache.has(fileName)) return documentPromiseCache.get(fileName);
 
-  const texture = await loadTextureByFile(fileName);
-  const layer = createImageLayer(texture);
-  applyTransform(layer, asset.transform);
-  layer.userData.asset = asset;
-  world.add(layer);
-}
+  if (typeof pdfjsLib === "undefined") {
+    return Promise.reject(new Error("pdf.js unavailable"));
+  }
 
-function configureModelForScene(root) {
-  root.traverse((node) => {
-    if (!node || !node.isMesh) return;
+  if (!pdfjsLib.GlobalWorkerOptions.workerSrc) {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+  }
 
-    node.frustumCulled = true;
+  const p = pdfjsLib.getDocument(`${DOCUMENTS_PATH}${encodeURIComponent(fileName)}`).promise;
 
-    if (VIEWER_CONFIG.enableShadows) {
-      const cast = shadowCasterBudget > 0;
-      node.castShadow = cast;
-      node.receiveShadow = false;
-      if (cast) shadowCasterBudget -= 1;
-    }
-  });
+  documentPromiseCache.set(fileName, p);
+  return p;
 }
 
-function registerModelAnimations(root, clips) {
-  if (!clips || clips.length === 0) return;
+async function renderDocumentPage(doc, pageNumber) {
+  const page = await doc.pdf.getPage(pageNumber);
+  const base = page.getViewport({ scale: 1 });
+  const scale = DOCUMENT_PAGE_RESOLUTION / Math.max(base.width, base.height, 1);
+  const viewport = page.getViewport({ scale });
+
+  const pageCanvas = document.createElement("canvas");
+  pageCanvas.width = Math.max(1, Math.round(viewport.width));
+  pageCanvas.height = Math.max(1, Math.round(viewport.height));
+  const ctx = pageCanvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, pageCanvas.width, pageCanvas.height);
+
+  await page.render({ canvasContext: ctx, viewport }).promise;
+
+  // Swap the canvas instead of redrawing in place so pages with a different
+  // aspect ratio re-upload at their own size.
+  doc.texture.image = pageCanvas;
+  doc.texture.needsUpdate = true;
+  doc.pageNumber = pageNumber;
+}
 
-  const mixer = new THREE.AnimationMixer(root);
-  for (let i = 0; i < clips.length; i += 1) {
-    mixer.clipAction(clips[i]).play();
-  }
-  mixers.push(mixer);
+function createDocumentTexture() {
+  const placeholder = document.createElement("canvas");
+  placeholder.width = 1;
+  placeholder.height = 1;
 
-  if (!hasAnimatedModels) {
-    hasAnimatedModels = true;
-    ensureRenderLoopState();
+  const tex = new THREE.CanvasTexture(placeholder);
+  tex.encoding = THREE.sRGBEncoding;
+  tex.minFilter = THREE.LinearFilter;
+  tex.magFilter = THREE.LinearFilter;
+  tex.generateMipmaps = false;
+  tex.anisotropy = Math.min(renderer.capabilities.getMaxAnisotropy(), 4);
+  return tex;
+}
+
+function refreshDocumentGeometry(holder) {
+  const doc = holder.userData.document;
+  const geo = getImageGeometry(doc.texture);
+  for (let i = 0; i < doc.layer.children.length; i += 1) {
+    doc.layer.children[i].geometry = geo;
   }
 }
 
-async function addModelAsset(asset) {
-  const fileName = asset.mapped_file;
-  if (!fileName) throw new Error("missing mapped_file");
+async function changeDocumentPage(holder, step) {
+  const doc = holder && holder.userData.document;
+  if (!doc || doc.busy) return;
 
-  const modelEntry = await loadModelTemplate(fileName);
-  const template = modelEntry.template;
-  const unitScale = modelEntry.unitScale;
-  const instance = cloneModel(template);
-  instance.scale.multiplyScalar(unitScale);
-  configureModelForScene(instance);
-  registerModelAnimations(instance, modelEntry.animations);
+  const target = clamp(doc.pageNumber + step, 1, doc.pageCount);
+  if (target === doc.pageNumber) return;
 
-  const holder = new THREE.Group();
-  holder.add(instance);
-  applyTransform(holder, asset.transform);
-  holder.userData.asset = asset;
-  world.add(holder);
-}
+  doc.busy = true;
+  if (holder === selectedHolder) renderInspector(holder);
 
-async function addAsset(asset) {
-  if (asset.assetType === "model") {
-    await addModelAsset(asset);
-    return;
+  try {
+    await renderDocumentPage(doc, target);
+    refreshDocumentGeometry(holder);
+  } catch (err) {
+    console.error(err);
+  } finally {
+    doc.busy = false;
   }
 
-  if (asset.assetType === "image") {
-    await addImageAsset(asset);
-    return;
+  if (holder === selectedHolder) {
+    selectAsset(holder);
+  } else {
+    requestRender();
   }
-
-  throw new Error(`unsupported type: ${asset.assetType || "unknown"}`);
 }
 
-function centerObjectAtOrigin(object3D) {
-  tmpBox.setFromObject(object3D);
-  if (tmpBox.isEmpty() || !isFiniteBox(tmpBox)) return;
-  tmpBox.getCenter(tmpCenter);
-  if (!isFiniteVec3(tmpCenter)) return;
-  object3D.position.sub(tmpCenter);
-}
+const batches = new THREE.Group();
+batches.name = "InstanceBatches";
+scene.add(batches);
 
-function getModelUnitScale(modelRoot) {
-  tmpBox.setFromObject(modelRoot);
-  if (tmpBox.isEmpty() || !isFiniteBox(tmpBox)) return 1;
+const fileRepeatCounts = new Map();
+const instanceBatches = new Map();
+const instanceBindings = new Map();
+const backFaceGeometryCache = new Map();
+const hiddenInstanceMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
 
-  tmpBox.getSize(tmpSize);
-  if (!isFiniteVec3(tmpSize)) return 1;
-  const maxDim = Math.max(tmpSize.x, tmpSize.y, tmpSize.z);
-  if (!Number.isFinite(maxDim) || maxDim <= 0) return 1;
-  return 1 / maxDim;
+function getFileRepeatKey(assetType, fileName) {
+  return `${assetType}:${fileName}`;
 }
 
-function fitCameraToObject(cameraRef, object3D, controlsRef, offset) {
-  tmpBox.setFromObject(object3D);
-  if (tmpBox.isEmpty() || !isFiniteBox(tmpBox)) return;
-
-  tmpBox.getSize(tmpSize);
-  tmpBox.getCenter(tmpCenter);
-  if (!isFiniteVec3(tmpSize) || !isFiniteVec3(tmpCenter)) return;
+function countFileRepeats(entries) {
+  fileRepeatCounts.clear();
+  for (let i = 0; i < entries.length; i += 1) {
+    const asset = entries[i].asset;
+    if (!asset || !asset.mapped_file) continue;
+    const key = getFileRepeatKey(asset.assetType, asset.mapped_file);
+    fileRepeatCounts.set(key, (fileRepeatCounts.get(key) || 0) + 1);
+  }
+}
 
-  const maxDim = Math.max(tmpSize.x, tmpSize.y, tmpSize.z);
-  const safeMaxDim = Math.max(maxDim, 1);
-  const fov = cameraRef.fov * (Math.PI / 180);
-  let cameraZ = Math.abs((safeMaxDim / 2) / Math.tan(fov / 2));
-  cameraZ *= asNumber(offset, 1.3);
-  cameraZ = clamp(cameraZ, 10, 280);
+function getFileRepeatCount(asset) {
+  return fileRepeatCounts.get(getFileRepeatKey(asset.assetType, asset.mapped_file)) || 0;
+}
 
-  cameraRef.position.set(tmpCenter.x, tmpCenter.y + safeMaxDim * 0.08, tmpCenter.z + cameraZ);
-  cameraRef.near = Math.max(Math.min(safeMaxDim / 1000, 0.2), 0.01);
-  cameraRef.far = Math.max(safeMaxDim * 20, cameraZ * 8, 1200);
-  cameraRef.updateProjectionMatrix();
+// Instances have no per-instance face flipping, so mirrored placements
+// (negative determinant) keep their own meshes.
+function canInstanceMatrix(matrix) {
+  return matrix.determinant() > 0;
+}
 
-  // Keep volumetric atmosphere without fully blacking out large reconstructions.
-  if (scene.fog && scene.fog.isFogExp2) {
-    const adaptiveDensity = 0.45 / Math.max(cameraZ, 1);
-    scene.fog.density = clamp(adaptiveDensity, 0.00018, 0.0012);
+// The back side of an image layer is a mirrored copy of the front mesh. As an
+// instance it uses the same placement with reversed winding and normals.
+function getBackFaceGeometry(geometry) {
+  if (backFaceGeometryCache.has(geometry.uuid)) return backFaceGeometryCache.get(geometry.uuid);
+
+  const back = geometry.clone();
+  const index = back.index.array;
+  for (let i = 0; i < index.length; i += 3) {
+    const swap = index[i + 1];
+    index[i + 1] = index[i + 2];
+    index[i + 2] = swap;
   }
+  const normals = back.attributes.normal.array;
+  for (let i = 0; i < normals.length; i += 1) normals[i] = -normals[i];
 
-  if (controlsRef) {
-    controlsRef.target.copy(tmpCenter);
-    controlsRef.update();
-  }
+  backFaceGeometryCache.set(geometry.uuid, back);
+  return back;
 }
 
-function resizeRendererToDisplaySize(rendererRef) {
-  const width = canvas.clientWidth | 0;
-  const height = canvas.clientHeight | 0;
-  const needResize = canvas.width !== width || canvas.height !== height;
-  if (needResize) rendererRef.setSize(width, height, false);
-  return needResize;
+function createInstancedMesh(geometry, material, capacity, options) {
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  for (let i = 0; i < capacity; i += 1) mesh.setMatrixAt(i, hiddenInstanceMatrix);
+  // Instances spread over the whole scene; the geometry's own bounds at the
+  // origin say nothing about where they are.
+  mesh.frustumCulled = false;
+  mesh.visible = false;
+  mesh.castShadow = !!options.castShadow;
+  mesh.receiveShadow = !!options.receiveShadow;
+  batches.add(mesh);
+  return mesh;
 }
 
-function requestRender() {
-  frameRequested = true;
-  ensureRenderLoopState();
+function growInstanceBatch(batch) {
+  const capacity = batch.capacity * 2;
+  const old = batch.mesh;
+  const mesh = createInstancedMesh(old.geometry, old.material, capacity, {
+    castShadow: old.castShadow,
+    receiveShadow: old.receiveShadow
+  });
+  mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+  mesh.visible = old.visible;
+  batches.remove(old);
+  batch.mesh = mesh;
+  batch.capacity = capacity;
 }
 
-function ensureRenderLoopState() {
-  const shouldRun = hasAnimatedModels || frameRequested;
-
-  if (shouldRun && !renderLoopActive) {
-    clock.start();
-    renderer.setAnimationLoop(renderFrame);
-    renderLoopActive = true;
-    return;
+function getInstanceBatch(key, geometry, material, capacity, options) {
+  let batch = instanceBatches.get(key);
+  if (!batch) {
+    const size = Math.max(capacity, INSTANCE_MIN_REPEATS);
+    batch = { mesh: createInstancedMesh(geometry, material, size, options), capacity: size, used: 0, shown: 0 };
+    instanceBatches.set(key, batch);
   }
+  if (batch.used >= batch.capacity) growInstanceBatch(batch);
+  return batch;
+}
 
-  if (!shouldRun && renderLoopActive) {
-    renderer.setAnimationLoop(null);
-    clock.stop();
-    renderLoopActive = false;
+// `slots` pairs each source mesh with the batch and world matrix it is drawn
+// with. Sources move to INSTANCE_SOURCE_LAYER and only their `visible`
+// chain is read from then on.
+function bindInstances(holder, slots) {
+  const binding = [];
+  for (let i = 0; i < slots.length; i += 1) {
+    const slot = slots[i];
+    binding.push({
+      source: slot.source,
+      batch: slot.batch,
+      index: slot.batch.used,
+      matrix: slot.matrix,
+      shown: false
+    });
+    slot.batch.used += 1;
+    slot.source.traverse((node) => node.layers.set(INSTANCE_SOURCE_LAYER));
   }
+  instanceBindings.set(holder, binding);
 }
 
-function renderFrame() {
-  const delta = Math.min(clock.getDelta(), 0.05);
-
-  if (resizeRendererToDisplaySize(renderer)) {
-    camera.aspect = canvas.clientWidth / canvas.clientHeight;
-    camera.updateProjectionMatrix();
-    frameRequested = true;
+// Batches with no shown instance are hidden outright, so their textures
+// are not drawn (and re-uploaded) for nothing.
+function syncInstanceBinding(binding) {
+  for (let i = 0; i < binding.length; i += 1) {
+    const slot = binding[i];
+    const shown = isVisibleInWorld(slot.source);
+    if (shown === slot.shown) continue;
+
+    slot.shown = shown;
+    slot.batch.shown += shown ? 1 : -1;
+    slot.batch.mesh.visible = slot.batch.shown > 0;
+    slot.batch.mesh.setMatrixAt(slot.index, shown ? slot.matrix : hiddenInstanceMatrix);
+    slot.batch.mesh.instanceMatrix.needsUpdate = true;
   }
+}
 
-  if (hasAnimatedModels) {
-    for (let i = 0; i < mixers.length; i += 1) {
-      mixers[i].update(delta);
+// Batched sources are not drawn into the shadow map, so the casters chosen
+// in updateLevelOfDetail pass their flag to the batch. A batch casts for
+// all of its shown instances once any of them is within the budget.
+function syncBatchShadows() {
+  const casting = new Set();
+  instanceBindings.forEach((binding) => {
+    for (let i = 0; i < binding.length; i += 1) {
+      if (binding[i].shown && binding[i].source.castShadow) casting.add(binding[i].batch);
     }
-    frameRequested = true;
-  }
-
-  if (!frameRequested) {
-    if (!hasAnimatedModels) ensureRenderLoopState();
-    return;
-  }
-
-  frameRequested = false;
-  atmosphere.position.copy(camera.position);
-  renderer.render(scene, camera);
+  });
+  instanceBatches.forEach((batch) => {
+    batch.mesh.castShadow = casting.has(batch);
+  });
+}
 
-  if (!hasAnimatedModels) {
-    ensureRenderLoopState();
+// Call after anything that changes holder or child visibility (filters, LOD).
+// Without a holder every asset is re-checked.
+function syncAssetVisibility(holder) {
+  let texturesChanged = false;
+  if (holder) {
+    const binding = instanceBindings.get(holder);
+    if (binding) syncInstanceBinding(binding);
+    const use = imageTextureUses.get(holder);
+    if (use) texturesChanged = syncTextureUse(use);
+  } else {
+    instanceBindings.forEach(syncInstanceBinding);
+    imageTextureUses.forEach((use) => {
+      if (syncTextureUse(use)) texturesChanged = true;
+    });
   }
+  if (texturesChanged) updateTextureMemoryHud();
 }
 
-function nextFrame() {
-  return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+// three.js sorts an InstancedMesh as one object and draws its instances in
+// slot order, so blended materials, which need back-to-front order per
+// plane, are never batched. Image planes are opaque (alpha-tested only)
+// when their texture has no partial alpha; see opaqueTextures.
+function needsDepthSorting(material) {
+  const materials = Array.isArray(material) ? material : [material];
+  return materials.some((m) => m && m.transparent);
 }
 
-async function runWithConcurrency(items, concurrency, worker) {
-  let index = 0;
+function bindImageInstances(holder, asset) {
+  const repeats = getFileRepeatCount(asset);
+  if (repeats < INSTANCE_MIN_REPEATS) return;
 
-  async function runner() {
-    while (index < items.length) {
-      const current = index;
-      index += 1;
-      await worker(items[current]);
-    }
-  }
+  const front = holder.children[0];
+  const back = holder.children[1];
+  if (needsDepthSorting(front.material) || needsDepthSorting(back.material)) return;
+
+  holder.updateMatrixWorld(true);
+  if (!canInstanceMatrix(holder.matrixWorld)) return;
+
+  const key = `${front.material.uuid}|${front.geometry.uuid}`;
+  const options = { castShadow: false, receiveShadow: VIEWER_CONFIG.enableShadows };
+  const matrix = holder.matrixWorld.clone();
 
-  const safeConcurrency = Math.max(1, Math.min(concurrency, items.length || 1));
-  const runners = [];
-  for (let i = 0; i < safeConcurrency; i += 1) {
-    runners.push(runner());
+  const frontBatch = getInstanceBatch(`${key}|front`, front.geometry, front.material, repeats, options);
+  const backGeometry = getBackFaceGeometry(front.geometry);
+  const backBatch = getInstanceBatch(`${key}|back`, backGeometry, back.material, repeats, options);
+  bindInstances(holder, [
+    { source: front, batch: frontBatch, matrix },
+    { source: back, batch: backBatch, matrix }
+  ]);
+}
+
+// Returns a holder's meshes to normal drawing; its batch slots stay hidden.
+function unbindInstances(holder) {
+  const binding = instanceBindings.get(holder);
+  if (!binding) return;
+
+  for (let i = 0; i < binding.length; i += 1) {
+    const slot = binding[i];
+    if (slot.shown) {
+      slot.batch.shown -= 1;
+      slot.batch.mesh.visible = slot.batch.shown > 0;
+      slot.batch.mesh.setMatrixAt(slot.index, hiddenInstanceMatrix);
+      slot.batch.mesh.instanceMatrix.needsUpdate = true;
+    }
+    slot.source.traverse((node) => node.layers.set(0));
   }
-  await Promise.all(runners);
+  instanceBindings.delete(holder);
 }
 
-function createAtmosphereDome(sceneRef) {
+// Only static models are batched: animated or skinned instances need their
+// own skeletons, and morph targets are not instanced in this three.js.
+function bindModelInstances(holder, instance, asset) {
+  const repeats = getFileRepeatCount(asset);
+  if (repeats < INSTANCE_MIN_REPEATS || (instance.animations && instance.animations.length > 0)) return;
+
+  holder.updateMatrixWorld(true);
+  const meshes = [];
+  let batchable = true;
+  instance.traverse((node) => {
+    if (!node.isMesh) return;
+    const morphs = node.geometry.morphAttributes && Object.keys(node.geometry.morphAttributes).length > 0;
+    if (node.isSkinnedMesh || morphs || needsDepthSorting(node.material) || !canInstanceMatrix(node.matrixWorld)) {
+      batchable = false;
+    }
+    meshes.push(node);
+  });
+  if (!batchable || meshes.length === 0) return;
+
+  // Shadows are handed out per frame by syncBatchShadows.
+  const options = { castShadow: false, receiveShadow: false };
+  bindInstances(
+    holder,
+    meshes.map((mesh) => {
+      const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+      const key = `${mesh.geometry.uuid}|${materials.map((m) => m.uuid).join(",")}`;
+      return {
+        source: mesh,
+        batch: getInstanceBatch(key, mesh.geometry, mesh.material, repeats, options),
+        matrix: mesh.matrixWorld.clone()
+      };
+    })
+  );
+}
+
+async function addDocumentAsset(asset) {
+  const fileName = asset.mapped_file;
+  if (!fileName) throw new Error("missing mapped_file");
+
+  const pdf = await loadDocumentByFile(fileName);
+  const doc = {
+    pdf,
+    pageCount: pdf.numPages,
+    pageNumber: 0,
+    texture: createDocumentTexture(),
+    layer: null,
+    busy: false
+  };
+  await renderDocumentPage(doc, 1);
+
+  doc.layer = createImageLayer(doc.texture);
+  const holder = new THREE.Group();
+  holder.add(doc.layer);
+  applyTransform(holder, asset.transform);
+  holder.userData.asset = asset;
+  holder.userData.document = doc;
+  world.add(holder);
+  return holder;
+}
+
+async function addImageAsset(asset) {
+  const fileName = asset.mapped_file;
+  if (!fileName) throw new Error("missing mapped_file");
+
+  const texture = await loadTextureByFile(fileName);
+  const layer = createImageLayer(texture);
+  applyTransform(layer, asset.transform);
+  layer.userData.asset = asset;
+  world.add(layer);
+  registerLodImage(layer);
+  registerImageTextureUse(layer, fileName);
+  bindImageInstances(layer, asset);
+  syncAssetVisibility(layer);
+  return layer;
+}
+
+// Runs once the images are in place. Ranked planes need their own
+// materials, so any that were batched leave their InstancedMesh.
+function applyLayerCompositing() {
+  if (!VIEWER_CONFIG.layerCompositing) return;
+
+  const planes = [];
+  for (let i = 0; i < assetEntries.length; i += 1) {
+    const entry = assetEntries[i];
+    if (!entry.holder || entry.state !== "ok" || entry.asset.assetType !== "image") continue;
+
+    const holder = entry.holder;
+    const size = holder.children[0].geometry.parameters;
+    holder.updateMatrixWorld(true);
+    holder.matrixWorld.decompose(tmpPosition, tmpQuat, tmpScale);
+    planes.push({
+      holder,
+      order: entry.index,
+      center: tmpPosition.clone(),
+      normal: new THREE.Vector3(0, 0, 1).applyQuaternion(tmpQuat),
+      radius: 0.5 * Math.hypot(size.width * Math.abs(tmpScale.x), size.height * Math.abs(tmpScale.y))
+    });
+  }
+
+  const groups = LayerCompositing.findCoplanarGroups(planes);
+  groups.forEach((group) => {
+    group.forEach((plane, rank) => {
+      unbindInstances(plane.holder);
+      const [front, back] = plane.holder.children;
+      LayerCompositing.rankPlane(compositeMaterials, front, back, rank, group);
+    });
+  });
+}
+
+// Shadow casting is assigned later by distance in updateLevelOfDetail.
+function configureModelForScene(root) {
+  root.traverse((node) => {
+    if (!node || !node.isMesh) return;
+
+    node.frustumCulled = true;
+    node.castShadow = false;
+    node.receiveShadow = false;
+  });
+}
+
+function registerModelAnimations(root, clips) {
+  if (!clips || clips.length === 0) return null;
+
+  const mixer = new THREE.AnimationMixer(root);
+  const actions = clips.map((clip) => {
+    const action = mixer.clipAction(clip);
+    // Clips switched to play once hold their last pose instead of snapping back.
+    action.clampWhenFinished = true;
+    if (VIEWER_CONFIG.autoplayAnimations) action.play();
+    return { clip, action };
+  });
+  mixerActions.set(mixer, actions);
+  lodCamera.dirty = true;
+  return mixer;
+}
+
+function isMixerPlaying(mixer) {
+  const actions = mixerActions.get(mixer) || [];
+  return actions.some((entry) => entry.action.isRunning());
+}
+
+// Playing state only feeds the render loop through the LOD pass, so any
+// change re-runs it; the loop stops by itself once nothing is left running.
+function onAnimationStateChanged() {
+  lodCamera.dirty = true;
+  syncAnimationControls();
+  requestRender();
+}
+
+// "Pausar animaciones" stops mixers without touching their actions.
+function isMixerUnpaused(mixer) {
+  return !animationState.pausedAll || animationState.resumed.has(mixer);
+}
+
+// What the panel shows.
+function isActionPlaying(action) {
+  return isMixerUnpaused(action.getMixer()) && action.isRunning();
+}
+
+// Playing a clip while everything is paused resumes that model only.
+function playAnimation(action) {
+  if (animationState.pausedAll) animationState.resumed.add(action.getMixer());
+  if (action.loop === THREE.LoopOnce && action.time >= action.getClip().duration) action.reset();
+  action.enabled = true;
+  action.paused = false;
+  action.play();
+  onAnimationStateChanged();
+}
+
+function pauseAnimation(action) {
+  action.paused = true;
+  onAnimationStateChanged();
+}
+
+function setAnimationLoop(action, loop) {
+  action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+  onAnimationStateChanged();
+}
+
+function setAnimationSpeed(action, speed) {
+  action.setEffectiveTimeScale(speed);
+  onAnimationStateChanged();
+}
+
+// A stopped action has no pose to show, so scrubbing one starts it paused.
+function scrubAnimation(mixer, action, time) {
+  if (!action.isScheduled()) {
+    action.play();
+    action.paused = true;
+  }
+  action.time = clamp(time, 0, action.getClip().duration);
+  mixer.update(0);
+  if (selectedHolder) selectionBox.update();
+  onAnimationStateChanged();
+}
+
+function toggleAllAnimations() {
+  animationState.pausedAll = !animationState.pausedAll;
+  animationState.resumed.clear();
+  onAnimationStateChanged();
+}
+
+function syncAnimationControls() {
+  if (animationsPauseEl) {
+    animationsPauseEl.hidden = modelMixers.size === 0;
+    animationsPauseEl.textContent = animationState.pausedAll ? "Reanudar animaciones" : "Pausar animaciones";
+    animationsPauseEl.setAttribute("aria-pressed", String(animationState.pausedAll));
+  }
+
+  const panel = animationState.panel;
+  if (!panel) return;
+  for (let i = 0; i < panel.rows.length; i += 1) {
+    const row = panel.rows[i];
+    const running = isActionPlaying(row.action);
+    row.play.textContent = running ? "Pausa" : "Reproducir";
+    row.play.setAttribute("aria-pressed", String(running));
+    row.loop.checked = row.action.loop !== THREE.LoopOnce;
+    if (document.activeElement !== row.speed) row.speed.value = String(row.action.timeScale);
+    if (document.activeElement !== row.time) row.time.value = String(row.action.time);
+    row.timeLabel.textContent = `${row.action.time.toFixed(2)} / ${row.action.getClip().duration.toFixed(2)} s`;
+  }
+}
+
+function getWorldSphere(object3D) {
+  return new THREE.Box3().setFromObject(object3D).getBoundingSphere(new THREE.Sphere());
+}
+
+// One box geometry per model file; `localBox` is the instance's bounds in
+// holder space, so the proxy lines up however the holder is placed.
+function getLodProxyGeometry(modelEntry, localBox) {
+  if (!modelEntry.proxyGeometry) {
+    const size = localBox.getSize(new THREE.Vector3());
+    const center = localBox.getCenter(new THREE.Vector3());
+    modelEntry.proxyGeometry = new THREE.BoxBufferGeometry(
+      Math.max(size.x, 1e-3),
+      Math.max(size.y, 1e-3),
+      Math.max(size.z, 1e-3)
+    ).translate(center.x, center.y, center.z);
+  }
+  return modelEntry.proxyGeometry;
+}
+
+function registerLodModel(holder, detail, proxyGeometry, mixer) {
+  const proxy = new THREE.Mesh(proxyGeometry, lodProxyMaterial);
+  proxy.visible = false;
+  proxy.userData.lodProxy = true;
+  holder.add(proxy);
+
+  let meshCount = 0;
+  detail.traverse((node) => {
+    if (node.isMesh) meshCount += 1;
+  });
+
+  lodModels.push({ holder, detail, proxy, mixer, meshCount, sphere: getWorldSphere(holder), far: false });
+  lodCamera.dirty = true;
+}
+
+function registerLodImage(holder) {
+  lodImages.push({ holder, sphere: getWorldSphere(holder), hidden: false });
+  lodCamera.dirty = true;
+}
+
+function getSphereDistance(sphere) {
+  return Math.max(0, sphere.center.distanceTo(camera.position) - sphere.radius);
+}
+
+function isBeyond(distance, threshold, wasBeyond) {
+  const factor = wasBeyond ? 1 - LOD_HYSTERESIS : 1 + LOD_HYSTERESIS;
+  return distance > threshold * factor;
+}
+
+function setChildrenVisible(holder, visible) {
+  for (let i = 0; i < holder.children.length; i += 1) {
+    holder.children[i].visible = visible;
+  }
+}
+
+// Runs before each rendered frame but only does work when the camera moved
+// or assets were added. Returns true when anything visible changed.
+function updateLevelOfDetail() {
+  const moved =
+    lodCamera.position.distanceToSquared(camera.position) > LOD_CAMERA_EPSILON * LOD_CAMERA_EPSILON ||
+    1 - Math.abs(lodCamera.quaternion.dot(camera.quaternion)) > 1e-6;
+  if (!moved && !lodCamera.dirty) return false;
+
+  lodCamera.position.copy(camera.position);
+  lodCamera.quaternion.copy(camera.quaternion);
+  lodCamera.dirty = false;
+
+  const frustum = updateViewFrustum();
+  let changed = false;
+  activeMixers.length = 0;
+
+  const near = [];
+  for (let i = 0; i < lodModels.length; i += 1) {
+    const lod = lodModels[i];
+    const distance = getSphereDistance(lod.sphere);
+    const far = isBeyond(distance, VIEWER_CONFIG.lodModelDistance, lod.far);
+    if (far !== lod.far) {
+      lod.far = far;
+      lod.detail.visible = !far;
+      lod.proxy.visible = far;
+      changed = true;
+    }
+
+    if (!far && lod.holder.visible) near.push({ lod, distance });
+    if (
+      lod.mixer &&
+      isMixerUnpaused(lod.mixer) &&
+      isMixerPlaying(lod.mixer) &&
+      lod.holder.visible &&
+      distance < VIEWER_CONFIG.animationCullDistance &&
+      frustum.intersectsSphere(lod.sphere)
+    ) {
+      activeMixers.push(lod.mixer);
+    }
+  }
+
+  for (let i = 0; i < lodImages.length; i += 1) {
+    const lod = lodImages[i];
+    const hidden = isBeyond(getSphereDistance(lod.sphere), VIEWER_CONFIG.imageCullDistance, lod.hidden);
+    if (hidden !== lod.hidden) {
+      lod.hidden = hidden;
+      setChildrenVisible(lod.holder, !hidden);
+      changed = true;
+    }
+  }
+
+  if (VIEWER_CONFIG.enableShadows) {
+    near.sort((a, b) => a.distance - b.distance);
+    let budget = VIEWER_CONFIG.shadowCasterLimit;
+    for (let i = 0; i < near.length; i += 1) {
+      const lod = near[i].lod;
+      const cast = budget >= lod.meshCount;
+      if (cast) budget -= lod.meshCount;
+      lod.detail.traverse((node) => {
+        if (node.isMesh) node.castShadow = cast;
+      });
+    }
+    syncBatchShadows();
+  }
+
+  hasAnimatedModels = activeMixers.length > 0;
+  return changed;
+}
+
+async function addModelAsset(asset) {
+  const fileName = asset.mapped_file;
+  if (!fileName) throw new Error("missing mapped_file");
+
+  const modelEntry = await loadModelTemplate(fileName);
+  const template = modelEntry.template;
+  const unitScale = modelEntry.unitScale;
+  const instance = cloneModel(template);
+  instance.animations = modelEntry.animations;
+  instance.scale.multiplyScalar(unitScale);
+  configureModelForScene(instance);
+  const mixer = registerModelAnimations(instance, modelEntry.animations);
+
+  const holder = new THREE.Group();
+  holder.add(instance);
+  if (mixer) {
+    modelMixers.set(holder, mixer);
+    syncAnimationControls();
+  }
+  // Measured before the transform is applied, i.e. in holder space.
+  const localBox = new THREE.Box3().setFromObject(holder);
+  applyTransform(holder, asset.transform);
+  holder.userData.asset = asset;
+  world.add(holder);
+  if (!localBox.isEmpty() && isFiniteBox(localBox)) {
+    const proxyGeometry = getLodProxyGeometry(modelEntry, localBox);
+    setModelBounds(fileName, proxyGeometry);
+    registerLodModel(holder, instance, proxyGeometry, mixer);
+  }
+  bindModelInstances(holder, instance, asset);
+  syncAssetVisibility(holder);
+  return holder;
+}
+
+async function addAsset(asset) {
+  if (asset.assetType === "model") {
+    return addModelAsset(asset);
+  }
+
+  if (asset.assetType === "image") {
+    return addImageAsset(asset);
+  }
+
+  if (asset.assetType === "document") {
+    return addDocumentAsset(asset);
+  }
+
+  throw new Error(`unsupported type: ${asset.assetType || "unknown"}`);
+}
+
+const downloadLink = document.createElement("a");
+downloadLink.style.display = "none";
+document.body.appendChild(downloadLink);
+
+function saveBlob(blob, filename) {
+  downloadLink.href = URL.createObjectURL(blob);
+  downloadLink.download = filename;
+  downloadLink.click();
+  setTimeout(() => URL.revokeObjectURL(downloadLink.href), 1000);
+}
+
+function saveArrayBuffer(buffer, filename) {
+  saveBlob(new Blob([buffer], { type: "application/octet-stream" }), filename);
+}
+
+function getExportableAsset(asset) {
+  if (!asset) return null;
+  const copy = {};
+  const keys = [
+    "assetType", "assetId", "provider", "url", "link", "title",
+    "creator", "description", "mapped_file", "transform", "nftMetadata"
+  ];
+  for (let i = 0; i < keys.length; i += 1) {
+    if (asset[keys[i]] !== undefined && asset[keys[i]] !== null) copy[keys[i]] = asset[keys[i]];
+  }
+  return copy;
+}
+
+// Node names must be unique across the export: GLTFExporter binds animation
+// tracks by name from the export root, so repeated clones of one GLB would all
+// animate the first instance. Prefix every node and retarget its clips.
+function retargetClipsForExport(clips, prefix, nodeNames) {
+  const result = [];
+  for (let i = 0; i < clips.length; i += 1) {
+    const tracks = [];
+    for (let j = 0; j < clips[i].tracks.length; j += 1) {
+      const track = clips[i].tracks[j].clone();
+      track.name = `${prefix}${track.name}`;
+      const parsed = THREE.PropertyBinding.parseTrackName(track.name);
+      if (nodeNames.has(parsed.nodeName)) tracks.push(track);
+    }
+    if (tracks.length > 0) {
+      result.push(new THREE.AnimationClip(`${prefix}${clips[i].name}`, clips[i].duration, tracks));
+    }
+  }
+  return result;
+}
+
+// Holders are rebuilt instead of cloned: Object3D.copy JSON-copies userData,
+// which would drag in the PDF handles kept on document holders.
+function cloneHolderForExport(holder, index) {
+  const asset = holder.userData.asset;
+  const prefix = `a${index}_`;
+  const copy = new THREE.Group();
+  copy.name = `asset_${asset && asset.assetId ? asset.assetId : index}_${index}`;
+  copy.position.copy(holder.position);
+  copy.quaternion.copy(holder.quaternion);
+  copy.scale.copy(holder.scale);
+  copy.userData = { asset: getExportableAsset(asset) };
+
+  let clips = [];
+  for (let i = 0; i < holder.children.length; i += 1) {
+    const child = holder.children[i];
+    if (child.userData.lodProxy) continue;
+    // Distance culling may have hidden the full-detail child; export it anyway.
+    const childCopy = cloneModel(child);
+    childCopy.visible = true;
+    copy.add(childCopy);
+    if (Array.isArray(child.animations)) clips = clips.concat(child.animations);
+  }
+
+  const nodeNames = new Set();
+  copy.traverse((node) => {
+    if (node === copy) return;
+    node.name = `${prefix}${node.name || "node"}`;
+    nodeNames.add(node.name);
+  });
+
+  return { node: copy, animations: retargetClipsForExport(clips, prefix, nodeNames) };
+}
+
+function loadExportTexture(fileName) {
+  return new Promise((resolve, reject) => {
+    textureLoader.load(
+      `${IMAGES_PATH}${fileName}`,
+      (tex) => {
+        tex.encoding = THREE.sRGBEncoding;
+        resolve(tex);
+      },
+      undefined,
+      (err) => reject(err || new Error(`Texture load failed: ${fileName}`))
+    );
+  });
+}
+
+// Source textures (fileName -> load promise) and material copies
+// (viewer material -> copy) made for one export, freed once it is written.
+function createExportResources() {
+  return { textures: new Map(), materials: new Map() };
+}
+
+function disposeExportResources(resources) {
+  resources.materials.forEach((material) => material.dispose());
+  resources.textures.forEach((promise) => promise.then((texture) => texture.dispose(), () => {}));
+  resources.materials.clear();
+  resources.textures.clear();
+}
+
+// GLTFExporter cannot encode Basis textures, so image planes drawn with one
+// are exported with their source PNG/JPEG instead, loaded once per file.
+async function restoreSourceMaps(copy, fileName, resources) {
+  const meshes = [];
+  copy.traverse((node) => {
+    if (node.isMesh && node.material && node.material.map && node.material.map.isCompressedTexture) {
+      meshes.push(node);
+    }
+  });
+  if (meshes.length === 0) return;
+
+  if (!resources.textures.has(fileName)) resources.textures.set(fileName, loadExportTexture(fileName));
+  const texture = await resources.textures.get(fileName);
+  meshes.forEach((mesh) => {
+    let material = resources.materials.get(mesh.material);
+    if (!material) {
+      material = mesh.material.clone();
+      material.map = texture;
+      resources.materials.set(mesh.material, material);
+    }
+    mesh.material = material;
+  });
+}
+
+// Exports visible, successfully loaded assets only: fallback planes, the
+// atmosphere dome, ground reference and lights live outside the export.
+async function buildExportScene(resources) {
+  const exportScene = new THREE.Scene();
+  exportScene.name = "TeleportLab";
+  exportScene.userData = { source: INVENTORY_PATH, exportedAt: new Date().toISOString() };
+
+  let animations = [];
+  for (let i = 0; i < world.children.length; i += 1) {
+    const holder = world.children[i];
+    if (!holder.visible || holder.userData.error || !holder.userData.asset) continue;
+    const exported = cloneHolderForExport(holder, i);
+    if (holder.userData.asset.assetType === "image") {
+      await restoreSourceMaps(exported.node, holder.userData.asset.mapped_file, resources);
+    }
+    exportScene.add(exported.node);
+    animations = animations.concat(exported.animations);
+  }
+
+  exportScene.updateMatrixWorld(true);
+  return { scene: exportScene, animations };
+}
+
+async function exportWorldAsGLB() {
+  if (!THREE.GLTFExporter) {
+    setStatus("GLTFExporter no disponible");
+    return;
+  }
+
+  setStatus("Exportando GLB...");
+  const resources = createExportResources();
+  try {
+    const exportData = await buildExportScene(resources);
+    const exporter = new THREE.GLTFExporter();
+    exporter.parse(
+      exportData.scene,
+      (result) => {
+        disposeExportResources(resources);
+        saveArrayBuffer(result, EXPORT_FILE_NAME);
+        const sizeMb = (result.byteLength / (1024 * 1024)).toFixed(1);
+        setStatus(`GLB exportado: ${exportData.scene.children.length} assets (${sizeMb} MB)`);
+      },
+      {
+        binary: true,
+        trs: true,
+        onlyVisible: true,
+        truncateDrawRange: true,
+        embedImages: true,
+        animations: exportData.animations,
+        maxTextureSize: EXPORT_MAX_TEXTURE_SIZE
+      }
+    );
+  } catch (err) {
+    disposeExportResources(resources);
+    console.error(err);
+    setStatus(`Error al exportar: ${err && err.message ? err.message : "desconocido"}`);
+  }
+}
+
+function centerObjectAtOrigin(object3D) {
+  tmpBox.setFromObject(object3D);
+  if (tmpBox.isEmpty() || !isFiniteBox(tmpBox)) return;
+  tmpBox.getCenter(tmpCenter);
+  if (!isFiniteVec3(tmpCenter)) return;
+  object3D.position.sub(tmpCenter);
+}
+
+function getModelUnitScale(modelRoot) {
+  tmpBox.setFromObject(modelRoot);
+  if (tmpBox.isEmpty() || !isFiniteBox(tmpBox)) return 1;
+
+  tmpBox.getSize(tmpSize);
+  if (!isFiniteVec3(tmpSize)) return 1;
+  const maxDim = Math.max(tmpSize.x, tmpSize.y, tmpSize.z);
+  if (!Number.isFinite(maxDim) || maxDim <= 0) return 1;
+  return 1 / maxDim;
+}
+
+function getFramingDistance(cameraRef, safeMaxDim, offset, minDistance) {
+  const fov = cameraRef.fov * (Math.PI / 180);
+  let distance = Math.abs((safeMaxDim / 2) / Math.tan(fov / 2));
+  distance *= asNumber(offset, 1.3);
+  return clamp(distance, minDistance, 280);
+}
+
+function fitCameraToObject(cameraRef, object3D, controlsRef, offset) {
+  tmpBox.setFromObject(object3D);
+  if (tmpBox.isEmpty() || !isFiniteBox(tmpBox)) return;
+
+  tmpBox.getSize(tmpSize);
+  tmpBox.getCenter(tmpCenter);
+  if (!isFiniteVec3(tmpSize) || !isFiniteVec3(tmpCenter)) return;
+
+  const maxDim = Math.max(tmpSize.x, tmpSize.y, tmpSize.z);
+  const safeMaxDim = Math.max(maxDim, 1);
+  const cameraZ = getFramingDistance(cameraRef, safeMaxDim, offset, 10);
+
+  cameraRef.position.set(tmpCenter.x, tmpCenter.y + safeMaxDim * 0.08, tmpCenter.z + cameraZ);
+  cameraRef.near = Math.max(Math.min(safeMaxDim / 1000, 0.2), 0.01);
+  cameraRef.far = Math.max(safeMaxDim * 20, cameraZ * 8, 1200);
+  cameraRef.updateProjectionMatrix();
+
+  // Keep volumetric atmosphere without fully blacking out large reconstructions.
+  if (scene.fog && scene.fog.isFogExp2) {
+    const adaptiveDensity = 0.45 / Math.max(cameraZ, 1);
+    scene.fog.density = clamp(adaptiveDensity, 0.00018, 0.0012);
+  }
+
+  if (controlsRef) {
+    controlsRef.target.copy(tmpCenter);
+    controlsRef.update();
+  }
+}
+
+function isVisibleInWorld(object3D) {
+  let node = object3D;
+  while (node) {
+    if (!node.visible) return false;
+    node = node.parent;
+  }
+  return true;
+}
+
+function findAssetHolder(object3D) {
+  let node = object3D;
+  while (node && node.parent !== world) node = node.parent;
+  if (!node || !node.userData || !("asset" in node.userData)) return null;
+  return node;
+}
+
+function pickAssetHolder(clientX, clientY) {
+  const rect = canvas.getBoundingClientRect();
+  if (rect.width <= 0 || rect.height <= 0) return null;
+
+  pointer.set(
+    ((clientX - rect.left) / rect.width) * 2 - 1,
+    -((clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(pointer, camera);
+
+  // Raycaster ignores `visible`, so hidden holders have to be skipped here.
+  const hits = raycaster.intersectObject(world, true);
+  for (let i = 0; i < hits.length; i += 1) {
+    if (!isVisibleInWorld(hits[i].object)) continue;
+    const holder = findAssetHolder(hits[i].object);
+    if (holder) return holder;
+  }
+  return null;
+}
+
+function formatNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? String(Number(n.toFixed(3))) : String(value);
+}
+
+function formatTransformValue(value) {
+  if (value === null || value === undefined) return "-";
+  if (Array.isArray(value)) return `[${value.map(formatNumber).join(", ")}]`;
+  if (typeof value === "object") {
+    return Object.keys(value)
+      .map((key) => `${key}: ${formatNumber(value[key])}`)
+      .join(", ");
+  }
+  return String(value);
+}
+
+function getAssetLabel(asset) {
+  if (!asset) return "Asset desconocido";
+  return asset.title || asset.mapped_file || (asset.assetId ? `Asset ${asset.assetId}` : "Sin título");
+}
+
+function createField(label, value) {
+  const dt = document.createElement("dt");
+  dt.textContent = label;
+  const dd = document.createElement("dd");
+  dd.textContent = value ? String(value) : "-";
+  return [dt, dd];
+}
+
+function createNftFields(nft) {
+  if (!nft) return [];
+
+  const nodes = [
+    ...createField("NFT", nft.name),
+    ...createField("Descripción NFT", nft.description),
+    ...createField("Token", nft.tokenID),
+    ...createField("Marketplace", nft.marketplace)
+  ];
+
+  for (let i = 0; i < nft.traits.length; i += 1) {
+    nodes.push(...createField(nft.traits[i].label, nft.traits[i].value));
+  }
+
+  if (nft.link) {
+    const linkField = createField("Enlace", "");
+    const a = document.createElement("a");
+    a.href = nft.link;
+    a.target = "_blank";
+    a.rel = "noopener";
+    a.textContent = nft.link;
+    linkField[1].replaceChildren(a);
+    nodes.push(...linkField);
+  }
+
+  return nodes;
+}
+
+function createPortalFields(portal) {
+  const field = createField("Portal", `${portal.label} \u2192 ${getPortalDestinationLabel(portal)}`);
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = portal.destination.type === "sculpture" ? "Abrir escultura" : "Teletransportar";
+  button.title = "También con doble clic sobre el portal";
+  button.addEventListener("click", () => activatePortal(portal));
+  field[1].append(" ", button);
+  return field;
+}
+
+function renderInspector(holder) {
+  if (!inspectorEl || !inspectorFieldsEl) return;
+
+  animationState.panel = null;
+  if (!holder) {
+    inspectorEl.hidden = true;
+    inspectorFieldsEl.replaceChildren();
+    return;
+  }
+
+  const asset = holder.userData.asset || null;
+  const transform = asset && asset.transform ? asset.transform : {};
+  const error = holder.userData.error || null;
+
+  const fields = [
+    ["Tipo", asset && asset.assetType],
+    ["ID", asset && asset.assetId],
+    ["Creador", asset && asset.creator],
+    ["Proveedor", asset && asset.provider],
+    ["Licencia / descripción", asset && asset.description],
+    ["Archivo", asset && asset.mapped_file],
+    ["Posición", formatTransformValue(transform.position)],
+    ["Rotación", formatTransformValue(transform.rotation)],
+    ["Escala", formatTransformValue(transform.scale)]
+  ];
+  if (diffState.result && asset) fields.push(["Diferencia", describeDiffStatus(asset)]);
+
+  const nodes = [];
+  for (let i = 0; i < fields.length; i += 1) {
+    nodes.push(...createField(fields[i][0], fields[i][1]));
+  }
+
+  if (holder.userData.portal) {
+    nodes.push(...createPortalFields(holder.userData.portal));
+  }
+
+  if (error) {
+    const errorField = createField("Error de carga", error);
+    errorField[1].className = "error";
+    nodes.push(...errorField);
+  }
+
+  const nftKey = NftMetadata.getAssetMetadataKey(asset);
+  if (nftKey) {
+    const metadata = nftStore.peek(nftKey);
+    if (metadata === undefined) {
+      nftStore.load(nftKey).then(() => {
+        if (selectedHolder === holder) renderInspector(holder);
+      });
+    }
+    nodes.push(...createNftFields(NftMetadata.summarize(metadata || null, asset.nftMetadata)));
+  }
+
+  if (inspectorTitleEl) inspectorTitleEl.textContent = getAssetLabel(asset);
+  inspectorFieldsEl.replaceChildren(...nodes);
+  if (holder.userData.document) {
+    inspectorFieldsEl.appendChild(createDocumentPager(holder));
+  }
+  if (modelMixers.has(holder)) {
+    inspectorFieldsEl.appendChild(createAnimationPanel(holder));
+  }
+  inspectorEl.hidden = false;
+}
+
+function createAnimationPanel(holder) {
+  const mixer = modelMixers.get(holder);
+  const panel = document.createElement("div");
+  panel.className = "animations";
+
+  const heading = document.createElement("dt");
+  heading.textContent = "Animaciones";
+  panel.appendChild(heading);
+
+  const rows = mixerActions.get(mixer).map(({ clip, action }, index) => {
+    const row = document.createElement("div");
+    row.className = "animation-clip";
+
+    const name = document.createElement("div");
+    name.className = "animation-name";
+    name.textContent = clip.name || `Clip ${index + 1}`;
+
+    const play = document.createElement("button");
+    play.type = "button";
+    play.addEventListener("click", () => (isActionPlaying(action) ? pauseAnimation(action) : playAnimation(action)));
+
+    const loop = document.createElement("input");
+    loop.type = "checkbox";
+    loop.addEventListener("change", () => setAnimationLoop(action, loop.checked));
+    const loopLabel = document.createElement("label");
+    loopLabel.append(loop, " Bucle");
+
+    const speed = document.createElement("input");
+    speed.type = "number";
+    speed.min = "0.1";
+    speed.max = "4";
+    speed.step = "0.1";
+    speed.title = "Velocidad";
+    speed.addEventListener("change", () => {
+      const value = Number(speed.value);
+      if (Number.isFinite(value) && value > 0) setAnimationSpeed(action, value);
+    });
+
+    const time = document.createElement("input");
+    time.type = "range";
+    time.min = "0";
+    time.max = String(clip.duration);
+    time.step = "0.01";
+    time.setAttribute("aria-label", `Posición de ${name.textContent}`);
+    time.addEventListener("input", () => scrubAnimation(mixer, action, Number(time.value)));
+
+    const timeLabel = document.createElement("span");
+    timeLabel.className = "animation-time";
+
+    const controls = document.createElement("div");
+    controls.className = "animation-controls";
+    controls.append(play, loopLabel, speed, "x");
+
+    row.append(name, controls, time, timeLabel);
+    panel.appendChild(row);
+    return { action, play, loop, speed, time, timeLabel };
+  });
+
+  animationState.panel = { holder, rows };
+  syncAnimationControls();
+  return panel;
+}
+
+function createDocumentPager(holder) {
+  const doc = holder.userData.document;
+
+  const prev = document.createElement("button");
+  prev.type = "button";
+  prev.textContent = "\u2039 Anterior";
+  prev.disabled = doc.busy || doc.pageNumber <= 1;
+  prev.addEventListener("click", () => changeDocumentPage(holder, -1));
+
+  const next = document.createElement("button");
+  next.type = "button";
+  next.textContent = "Siguiente \u203a";
+  next.disabled = doc.busy || doc.pageNumber >= doc.pageCount;
+  next.addEventListener("click", () => changeDocumentPage(holder, 1));
+
+  const label = document.createElement("span");
+  label.textContent = `Página ${doc.pageNumber} / ${doc.pageCount}`;
+
+  const pager = document.createElement("div");
+  pager.className = "pager";
+  pager.append(prev, label, next);
+  return pager;
+}
+
+function selectAsset(holder) {
+  selectedHolder = holder || null;
+
+  if (selectedHolder) {
+    selectionBox.setFromObject(selectedHolder);
+    selectionBox.visible = true;
+  } else {
+    selectionBox.visible = false;
+  }
+
+  renderInspector(selectedHolder);
+  renderAssetBrowser();
+  scheduleViewHashUpdate();
+  requestRender();
+}
+
+function onCanvasPointerDown(event) {
+  if (event.button !== 0) return;
+  pointerDown.x = event.clientX;
+  pointerDown.y = event.clientY;
+  pointerDown.active = true;
+}
+
+function onCanvasPointerUp(event) {
+  if (!pointerDown.active || event.button !== 0) return;
+  pointerDown.active = false;
+
+  if (walkState.active) {
+    // In walk mode the first click captures the mouse; later clicks pick
+    // whatever sits under the crosshair in the middle of the view. Portals
+    // are entered by walking through them.
+    if (!walkControls.isLocked) {
+      walkControls.lock();
+      return;
+    }
+    const rect = canvas.getBoundingClientRect();
+    selectAsset(pickAssetHolder(rect.left + rect.width / 2, rect.top + rect.height / 2));
+    return;
+  }
+
+  // Orbit drags end with a pointerup too; only treat near-stationary presses as clicks.
+  const dx = event.clientX - pointerDown.x;
+  const dy = event.clientY - pointerDown.y;
+  if (dx * dx + dy * dy > CLICK_DRAG_TOLERANCE * CLICK_DRAG_TOLERANCE) return;
+
+  // A click only selects, in both modes, so a portal can be inspected
+  // without leaving the page; the inspector's portal button or a
+  // double-click travels.
+  selectAsset(pickAssetHolder(event.clientX, event.clientY));
+}
+
+function onCanvasDoubleClick(event) {
+  if (walkState.active) return;
+  const holder = pickAssetHolder(event.clientX, event.clientY);
+  if (holder && holder.userData.portal) activatePortal(holder.userData.portal);
+}
+
+function getWalkFloorY() {
+  return ground.position.y;
+}
+
+// Collision volumes are the world-space boxes of visible models that reach
+// into the walker's body height; images and documents never block.
+// Portal models are walk-through: they go to walkState.portals instead.
+function buildWalkCollisionBoxes() {
+  const floorY = getWalkFloorY();
+  const eyeY = floorY + WALK_EYE_HEIGHT;
+  const boxes = [];
+  walkState.portals = [];
+
+  for (let i = 0; i < world.children.length; i += 1) {
+    const holder = world.children[i];
+    const asset = holder.userData.asset;
+    if (!holder.visible || holder.userData.error || !asset || asset.assetType !== "model") continue;
+
+    const box = new THREE.Box3().setFromObject(holder);
+    if (box.isEmpty() || !isFiniteBox(box)) continue;
+    if (holder.userData.portal) {
+      if (box.max.y >= floorY && box.min.y <= eyeY) {
+        walkState.portals.push({ portal: holder.userData.portal, box });
+      }
+      continue;
+    }
+    if (box.max.y < floorY + WALK_STEP_HEIGHT || box.min.y > eyeY) continue;
+    boxes.push(box);
+  }
+
+  return boxes;
+}
+
+function isInsideWalkBox(box, x, z) {
+  return (
+    x > box.min.x - WALK_BODY_RADIUS &&
+    x < box.max.x + WALK_BODY_RADIUS &&
+    z > box.min.z - WALK_BODY_RADIUS &&
+    z < box.max.z + WALK_BODY_RADIUS
+  );
+}
+
+// A move is blocked only when it enters a box the walker was not already in,
+// so starting inside a large model (a tunnel, a portal arch) never traps you.
+function isWalkMoveBlocked(fromX, fromZ, toX, toZ) {
+  for (let i = 0; i < walkState.boxes.length; i += 1) {
+    const box = walkState.boxes[i];
+    if (isInsideWalkBox(box, toX, toZ) && !isInsideWalkBox(box, fromX, fromZ)) return true;
+  }
+  return false;
+}
+
+function updateWalk(delta) {
+  const keys = walkState.keys;
+  const forwardInput = (keys.has("KeyW") ? 1 : 0) - (keys.has("KeyS") ? 1 : 0);
+  const rightInput = (keys.has("KeyD") ? 1 : 0) - (keys.has("KeyA") ? 1 : 0);
+  if (forwardInput === 0 && rightInput === 0) return false;
+
+  const forward = new THREE.Vector3();
+  camera.getWorldDirection(forward);
+  forward.y = 0;
+  if (forward.lengthSq() < 1e-8) return false;
+  forward.normalize();
+  const right = new THREE.Vector3(-forward.z, 0, forward.x);
+
+  const run = keys.has("ShiftLeft") || keys.has("ShiftRight") ? WALK_RUN_MULTIPLIER : 1;
+  const move = forward.multiplyScalar(forwardInput).addScaledVector(right, rightInput);
+  move.normalize().multiplyScalar(WALK_SPEED * run * delta);
+
+  // Resolve each axis separately so the walker slides along walls.
+  const x = camera.position.x;
+  const z = camera.position.z;
+  if (!isWalkMoveBlocked(x, z, x + move.x, z)) camera.position.x += move.x;
+  if (!isWalkMoveBlocked(camera.position.x, z, camera.position.x, z + move.z)) camera.position.z += move.z;
+  camera.position.y = getWalkFloorY() + WALK_EYE_HEIGHT;
+  updateWalkPortals();
+  scheduleViewHashUpdate();
+  return true;
+}
+
+function findWalkPortalAt(x, z) {
+  for (let i = 0; i < walkState.portals.length; i += 1) {
+    const trigger = walkState.portals[i];
+    const box = trigger.box;
+    if (
+      x > box.min.x - PORTAL_TRIGGER_PADDING &&
+      x < box.max.x + PORTAL_TRIGGER_PADDING &&
+      z > box.min.z - PORTAL_TRIGGER_PADDING &&
+      z < box.max.z + PORTAL_TRIGGER_PADDING
+    ) {
+      return trigger.portal;
+    }
+  }
+  return null;
+}
+
+// Portals fire when the walker steps into one, not while standing inside it,
+// so arriving on top of a portal does not bounce straight back out.
+function updateWalkPortals() {
+  const portal = findWalkPortalAt(camera.position.x, camera.position.z);
+  const entered = portal && portal !== walkState.currentPortal;
+  walkState.currentPortal = portal;
+  if (entered) activatePortal(portal);
+}
+
+// Orbit -> walk keeps the view direction and floor position and drops the
+// camera to eye height; walk -> orbit keeps the pose exactly and re-targets
+// orbiting at a point straight ahead.
+function setWalkMode(enabled) {
+  if (walkState.active === enabled) return;
+  walkState.active = enabled;
+  walkState.keys.clear();
+  cameraFlight = null;
+
+  if (enabled) {
+    walkState.boxes = buildWalkCollisionBoxes();
+    walkState.currentPortal = null;
+    controls.enabled = false;
+    camera.position.y = getWalkFloorY() + WALK_EYE_HEIGHT;
+    camera.lookAt(
+      controls.target.x,
+      Math.max(controls.target.y, camera.position.y - WALK_ORBIT_TARGET_DISTANCE),
+      controls.target.z
+    );
+    walkState.currentPortal = findWalkPortalAt(camera.position.x, camera.position.z);
+  } else {
+    if (walkControls.isLocked) walkControls.unlock();
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+    controls.target.copy(camera.position).addScaledVector(forward, WALK_ORBIT_TARGET_DISTANCE);
+    controls.enabled = true;
+    controls.update();
+  }
+
+  if (walkToggleEl) {
+    walkToggleEl.textContent = enabled ? "Orbitar" : "Caminar";
+    walkToggleEl.setAttribute("aria-pressed", String(enabled));
+  }
+  if (walkHintEl) walkHintEl.hidden = !enabled;
+  requestRender();
+}
+
+function isTypingTarget(target) {
+  return !!target && (target.tagName === "INPUT" || target.tagName === "SELECT" || target.tagName === "TEXTAREA");
+}
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// `owner` tags flights someone may cancel later ("tour"); others are null.
+function startCameraFlight(toPosition, toTarget, duration, owner) {
+  if (walkState.active) return;
+  cameraFlight = {
+    owner: owner || null,
+    fromPosition: camera.position.clone(),
+    fromTarget: controls.target.clone(),
+    toPosition: toPosition.clone(),
+    toTarget: toTarget.clone(),
+    elapsed: 0,
+    duration: Math.max(asNumber(duration, CAMERA_FLIGHT_SECONDS), 0.001)
+  };
+  requestRender();
+}
+
+function updateCameraFlight(delta) {
+  if (!cameraFlight) return;
+
+  cameraFlight.elapsed += delta;
+  const t = clamp(cameraFlight.elapsed / cameraFlight.duration, 0, 1);
+  const k = easeInOutCubic(t);
+  camera.position.lerpVectors(cameraFlight.fromPosition, cameraFlight.toPosition, k);
+  controls.target.lerpVectors(cameraFlight.fromTarget, cameraFlight.toTarget, k);
+  controls.update();
+
+  if (t >= 1) cameraFlight = null;
+}
+
+// Frames the object with the same distance rule as fitCameraToObject, but
+// keeps the current viewing direction so the move reads as a flight.
+function getObjectFlightPose(object3D, offset) {
+  tmpBox.setFromObject(object3D);
+  if (tmpBox.isEmpty() || !isFiniteBox(tmpBox)) return null;
+
+  tmpBox.getSize(tmpSize);
+  tmpBox.getCenter(tmpCenter);
+  if (!isFiniteVec3(tmpSize) || !isFiniteVec3(tmpCenter)) return null;
+
+  const safeMaxDim = Math.max(tmpSize.x, tmpSize.y, tmpSize.z, 1);
+  const distance = getFramingDistance(camera, safeMaxDim, asNumber(offset, 1.6), FLIGHT_MIN_DISTANCE);
+
+  const direction = new THREE.Vector3().subVectors(camera.position, controls.target);
+  if (direction.lengthSq() < 1e-8) direction.set(0, 0, 1);
+  direction.normalize();
+
+  const target = tmpCenter.clone();
+  const position = target.clone().addScaledVector(direction, distance);
+  return { position, target };
+}
+
+function flyCameraToObject(object3D, offset) {
+  const pose = getObjectFlightPose(object3D, offset);
+  if (pose) startCameraFlight(pose.position, pose.target);
+}
+
+// Inventory coordinates -> world, with the same mirroring as applyTransform.
+function toWorldPoint(source) {
+  const p = getVector3(source, { x: 0, y: 0, z: 0 });
+  const x = VIEWER_CONFIG.mirrorXAxisOnImport ? -p.x : p.x;
+  return new THREE.Vector3(x, p.y, p.z);
+}
+
+function normalizePortal(raw) {
+  const portal = raw || {};
+  const destination = portal.destination || {};
+  if (portal.assetId === undefined || portal.assetId === null) return null;
+
+  if (destination.type === "sculpture" && typeof destination.sculpture === "string" && destination.sculpture) {
+    return {
+      assetId: String(portal.assetId),
+      label: portal.label || destination.sculpture,
+      destination: { type: "sculpture", sculpture: destination.sculpture }
+    };
+  }
+
+  if (destination.type === "waypoint" && (destination.assetId !== undefined || destination.position)) {
+    return {
+      assetId: String(portal.assetId),
+      label: portal.label || "Waypoint",
+      destination: {
+        type: "waypoint",
+        assetId: destination.assetId !== undefined ? String(destination.assetId) : null,
+        position: destination.position || null,
+        lookAt: destination.lookAt || null
+      }
+    };
+  }
+
+  return null;
+}
+
+// The portal file is optional: without it the viewer simply has no portals.
+async function loadPortals() {
+  let data;
+  try {
+    const response = await fetch(PORTALS_PATH);
+    if (!response.ok) return;
+    data = await response.json();
+  } catch (err) {
+    console.warn(`No se pudo leer ${PORTALS_PATH}`, err);
+    return;
+  }
+
+  const list = Array.isArray(data && data.portals) ? data.portals : [];
+  for (let i = 0; i < list.length; i += 1) {
+    const portal = normalizePortal(list[i]);
+    if (portal) {
+      portalsByAssetId.set(portal.assetId, portal);
+    } else {
+      console.warn(`Portal #${i} en ${PORTALS_PATH} no es válido`, list[i]);
+    }
+  }
+}
+
+// Offline kiosks keep ?offline=1 when a portal opens the sculpture viewer.
+function getSculptureViewerUrl(key) {
+  const params = new URLSearchParams({ sculpture: key });
+  if (new URLSearchParams(window.location.search).get("offline") === "1") params.set("offline", "1");
+  return `${SCULPTURE_VIEWER_PATH}?${params.toString()}`;
+}
+
+function getPortalDestinationLabel(portal) {
+  const destination = portal.destination;
+  if (destination.type === "sculpture") return `Escultura ${destination.sculpture}`;
+  if (destination.assetId) return `Asset ${destination.assetId}`;
+  return formatTransformValue(destination.position);
+}
+
+function findHolderByAssetId(assetId) {
+  for (let i = 0; i < assetEntries.length; i += 1) {
+    const entry = assetEntries[i];
+    if (entry.holder && entry.asset && String(entry.asset.assetId) === assetId) return entry.holder;
+  }
+  return null;
+}
+
+function getWaypointPose(destination) {
+  if (destination.position) {
+    const position = toWorldPoint(destination.position);
+    let target;
+    if (destination.lookAt) {
+      target = toWorldPoint(destination.lookAt);
+    } else {
+      const forward = new THREE.Vector3();
+      camera.getWorldDirection(forward);
+      target = position.clone().addScaledVector(forward, WALK_ORBIT_TARGET_DISTANCE);
+    }
+    return { position, target };
+  }
+
+  const holder = findHolderByAssetId(destination.assetId);
+  return holder ? getObjectFlightPose(holder) : null;
+}
+
+// Walkers are teleported on the spot and keep their eye height; in orbit
+// mode the camera flies to the destination.
+function travelToWaypoint(destination) {
+  const pose = getWaypointPose(destination);
+  if (!pose) {
+    setStatus(`Destino de portal no encontrado: ${destination.assetId || "?"}`);
+    return;
+  }
+
+  if (!walkState.active) {
+    startCameraFlight(pose.position, pose.target);
+    return;
+  }
+
+  camera.position.set(pose.position.x, getWalkFloorY() + WALK_EYE_HEIGHT, pose.position.z);
+  camera.lookAt(pose.target);
+  walkState.currentPortal = findWalkPortalAt(camera.position.x, camera.position.z);
+  scheduleViewHashUpdate();
+  requestRender();
+}
+
+function activatePortal(portal) {
+  if (!portal) return;
+  if (portal.destination.type === "sculpture") {
+    window.location.assign(getSculptureViewerUrl(portal.destination.sculpture));
+    return;
+  }
+  travelToWaypoint(portal.destination);
+}
+
+function createAssetEntry(asset, index) {
+  const a = asset || {};
+  const nft = a.nftMetadata || {};
+  return {
+    index,
+    asset: asset || null,
+    holder: null,
+    proxy: null,
+    state: "pending",
+    searchText: [a.title, a.description, nft.description, a.mapped_file]
+      .filter(Boolean)
+      .join("\n")
+      .toLowerCase()
+  };
+}
+
+function entryMatchesFilters(entry) {
+  const asset = entry.asset || {};
+  if (assetFilters.assetType && asset.assetType !== assetFilters.assetType) return false;
+  if (assetFilters.provider && asset.provider !== assetFilters.provider) return false;
+  if (assetFilters.creator && (asset.creator || "") !== assetFilters.creator) return false;
+  if (assetFilters.state && entry.state !== assetFilters.state) return false;
+  if (assetFilters.text && !entry.searchText.includes(assetFilters.text)) return false;
+  return true;
+}
+
+function setAssetEntryHolder(entry, holder, state) {
+  removeProxy(entry);
+  entry.holder = holder || null;
+  entry.state = state;
+  if (!entry.holder) return;
+
+  entry.holder.visible = entryMatchesFilters(entry);
+  syncAssetVisibility(entry.holder);
+  perfHud.invalidateAssets();
+  const portal = state === "ok" && entry.asset ? portalsByAssetId.get(String(entry.asset.assetId)) : null;
+  if (portal) entry.holder.userData.portal = portal;
+}
+
+// Loaded assets by weight for the performance overlay; LOD proxies are left
+// out so far models report their full mesh.
+function getAssetWeights() {
+  const weights = [];
+  for (let i = 0; i < assetEntries.length; i += 1) {
+    const entry = assetEntries[i];
+    if (!entry.holder || entry.state !== "ok") continue;
+    const weight = PerfHud.measureObject(entry.holder, (node) => node.userData.lodProxy);
+    weight.label = getAssetLabel(entry.asset);
+    weights.push(weight);
+  }
+  return weights;
+}
+
+function togglePerfHud() {
+  const visible = perfHud.toggle();
+  if (perfToggleEl) perfToggleEl.setAttribute("aria-pressed", String(visible));
+}
+
+function getDiffGhostGeometry(asset) {
+  if (asset.assetType !== "model") return diffGhostGeometries.flat;
+  const bounds = modelBounds.get(asset.mapped_file);
+  return bounds ? bounds.box : diffGhostGeometries.model;
+}
+
+function createDiffMarker(asset, status) {
+  const marker = new THREE.LineSegments(getProxyGeometry(asset), diffMaterials[status]);
+  marker.renderOrder = 998;
+  applyTransform(marker, asset.transform);
+  if (status === "removed") marker.add(new THREE.Mesh(getDiffGhostGeometry(asset), diffGhostMaterial));
+  diffOverlay.add(marker);
+  return marker;
+}
+
+function clearInventoryDiff() {
+  diffOverlay.remove(...diffOverlay.children);
+  diffState.result = null;
+  diffState.source = "";
+  diffState.byAssetId.clear();
+  diffState.markers.clear();
+  renderDiffLegend();
+  if (selectedHolder) renderInspector(selectedHolder);
+  requestRender();
+}
+
+// Compares `previousInventory` (the older snapshot) with the assets loaded
+// now. Added and changed assets get an outline at their current transform;
+// removed ones a translucent ghost where they used to be.
+function applyInventoryDiff(previousInventory, source) {
+  clearInventoryDiff();
+  const current = { assets: assetEntries.map((entry) => entry.asset).filter(Boolean) };
+  const result = InventoryDiff.diffInventories(previousInventory, current);
+  const entriesById = new Map();
+  assetEntries.forEach((entry) => {
+    if (entry.asset) entriesById.set(String(entry.asset.assetId), entry);
+  });
+
+  function mark(asset, status, change) {
+    const id = String(asset.assetId);
+    diffState.byAssetId.set(id, { status, change: change || null });
+    const marker = createDiffMarker(asset, status);
+    const entry = entriesById.get(id);
+    if (entry) diffState.markers.set(entry, marker);
+  }
+
+  result.added.forEach((asset) => mark(asset, "added"));
+  result.changed.forEach((change) => {
+    mark(change.after, change.changes.includes("remapped") ? "remapped" : "transform", change);
+  });
+  result.removed.forEach((asset) => mark(asset, "removed"));
+
+  diffState.result = result;
+  diffState.source = source;
+  syncDiffMarkers();
+  renderDiffLegend();
+  if (selectedHolder) renderInspector(selectedHolder);
+  requestRender();
+}
+
+// Markers of filtered-out assets hide with them; ghosts have no entry.
+function syncDiffMarkers() {
+  diffState.markers.forEach((marker, entry) => {
+    marker.visible = entryMatchesFilters(entry);
+  });
+}
+
+function describeDiffStatus(asset) {
+  const info = diffState.byAssetId.get(String(asset.assetId));
+  if (!info) return "Sin cambios";
+  if (info.status === "added") return "Añadido";
+  const d = info.change.details;
+  return info.change.changes
+    .map((kind) => {
+      if (kind === "moved") return `${DIFF_CHANGE_LABELS.moved} ${formatNumber(d.distance)}`;
+      if (kind === "rotated") return `${DIFF_CHANGE_LABELS.rotated} ${formatNumber(d.angle)}°`;
+      if (kind === "remapped") return `${DIFF_CHANGE_LABELS.remapped} (${d.from || "-"} → ${d.to || "-"})`;
+      return DIFF_CHANGE_LABELS[kind];
+    })
+    .join(", ");
+}
+
+function createDiffLegendItem(status, label, count) {
+  const item = document.createElement("span");
+  item.className = "diff-legend-item";
+  const swatch = document.createElement("i");
+  swatch.style.background = `#${DIFF_COLORS[status].toString(16).padStart(6, "0")}`;
+  item.append(swatch, `${label}: ${count}`);
+  return item;
+}
+
+function renderDiffLegend() {
+  if (!diffLegendEl) return;
+  const result = diffState.result;
+  diffLegendEl.replaceChildren();
+  if (!result) return;
+
+  const count = (status) => result.changed.filter((change) => diffState.byAssetId.get(change.assetId).status === status).length;
+  const title = document.createElement("span");
+  title.textContent = `Comparado con ${diffState.source}`;
+  title.title = `Sin cambios: ${result.unchanged}`;
+  const clear = document.createElement("button");
+  clear.type = "button";
+  clear.textContent = "Quitar";
+  clear.addEventListener("click", clearInventoryDiff);
+  diffLegendEl.append(
+    title,
+    createDiffLegendItem("added", "Añadidos", result.added.length),
+    createDiffLegendItem("transform", "Movidos / rotados / escalados", count("transform")),
+    createDiffLegendItem("remapped", "Reasignados", count("remapped")),
+    createDiffLegendItem("removed", "Eliminados", result.removed.length),
+    clear
+  );
+}
+
+async function loadInventoryDiff(path) {
+  try {
+    const response = await fetch(path);
+    if (!response.ok) throw new Error(`No se pudo cargar ${path} (${response.status})`);
+    applyInventoryDiff(await response.json(), path);
+  } catch (err) {
+    console.warn(err);
+    setStatus(`Comparación: ${err && err.message ? err.message : "inventario no válido"}`);
+  }
+}
+
+async function onDiffFileChange() {
+  const file = diffFileEl.files && diffFileEl.files[0];
+  diffFileEl.value = "";
+  if (!file) return;
+  try {
+    applyInventoryDiff(JSON.parse(await file.text()), file.name);
+  } catch (err) {
+    console.warn(err);
+    setStatus(`Comparación: ${file.name} no es un inventario JSON válido`);
+  }
+}
+
+function fillFilterSelect(select, values) {
+  if (!select) return;
+  const unique = Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+  for (let i = 0; i < unique.length; i += 1) {
+    const option = document.createElement("option");
+    option.value = unique[i];
+    option.textContent = unique[i];
+    select.appendChild(option);
+  }
+}
+
+function populateAssetFilters() {
+  const assets = assetEntries.map((entry) => entry.asset || {});
+  fillFilterSelect(filterSelectEls.assetType, assets.map((asset) => asset.assetType));
+  fillFilterSelect(filterSelectEls.provider, assets.map((asset) => asset.provider));
+  fillFilterSelect(filterSelectEls.creator, assets.map((asset) => asset.creator));
+}
+
+function renderAssetBrowser() {
+  if (!browserEl || browserEl.hidden || !browserListEl) return;
+
+  const fragment = document.createDocumentFragment();
+  let matches = 0;
+
+  for (let i = 0; i < assetEntries.length; i += 1) {
+    const entry = assetEntries[i];
+    if (!entryMatchesFilters(entry)) continue;
+    matches += 1;
+
+    const asset = entry.asset || {};
+    const item = document.createElement("li");
+    item.dataset.index = String(entry.index);
+    item.className = entry.state;
+    if (entry.holder && entry.holder === selectedHolder) item.classList.add("selected");
+
+    const name = document.createElement("span");
+    name.className = "name";
+    name.textContent = getAssetLabel(entry.asset);
+
+    const meta = document.createElement("span");
+    meta.className = "meta";
+    meta.textContent = [asset.assetType, asset.provider, entry.state].filter(Boolean).join(" · ");
+
+    item.append(name, meta);
+    fragment.appendChild(item);
+  }
+
+  browserListEl.replaceChildren(fragment);
+  if (browserCountEl) browserCountEl.textContent = `${matches} / ${assetEntries.length} assets`;
+}
+
+function applyAssetFilters() {
+  for (let i = 0; i < assetEntries.length; i += 1) {
+    const entry = assetEntries[i];
+    if (entry.holder) entry.holder.visible = entryMatchesFilters(entry);
+    if (entry.proxy) entry.proxy.visible = entryMatchesFilters(entry);
+  }
+  syncDiffMarkers();
+  // Hidden models must stop animating and give up their shadow budget.
+  lodCamera.dirty = true;
+  syncAssetVisibility();
+
+  if (selectedHolder && !selectedHolder.visible) {
+    selectAsset(null);
+  }
+
+  renderAssetBrowser();
+  scheduleViewHashUpdate();
+  requestRender();
+}
+
+function onBrowserListClick(event) {
+  const item = event.target.closest("li");
+  if (!item) return;
+
+  const entry = assetEntries[Number(item.dataset.index)];
+  if (!entry || !entry.holder) return;
+
+  selectAsset(entry.holder);
+  flyCameraToObject(entry.holder);
+}
+
+// In walk mode there is no orbit target, so the view stores a point ahead
+// of the camera; opening it later lands in orbit mode looking the same way.
+function getCurrentView() {
+  let target = controls.target;
+  if (walkState.active) {
+    const forward = new THREE.Vector3();
+    camera.getWorldDirection(forward);
+    target = camera.position.clone().addScaledVector(forward, WALK_ORBIT_TARGET_DISTANCE);
+  }
+
+  const asset = selectedHolder && selectedHolder.userData.asset;
+  return {
+    camera: {
+      position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+      target: { x: target.x, y: target.y, z: target.z }
+    },
+    selection: asset && asset.assetId !== undefined ? String(asset.assetId) : null,
+    filters: {
+      text: browserSearchEl ? browserSearchEl.value.trim() : assetFilters.text,
+      assetType: assetFilters.assetType,
+      provider: assetFilters.provider,
+      creator: assetFilters.creator,
+      state: assetFilters.state
+    }
+  };
+}
+
+function scheduleViewHashUpdate() {
+  if (!viewHash.ready) return;
+  clearTimeout(viewHash.timer);
+  viewHash.timer = setTimeout(() => {
+    const view = getCurrentView();
+    const hash = ViewState.toHash(view);
+    if (hash === viewHash.last) return;
+    viewHash.last = hash;
+    ViewState.writeHash(view);
+  }, VIEW_HASH_DELAY_MS);
+}
+
+function applyViewFilters(filters) {
+  const source = filters || {};
+  const text = source.text || "";
+  if (browserSearchEl) browserSearchEl.value = text;
+  assetFilters.text = text.trim().toLowerCase();
+
+  Object.keys(filterSelectEls).forEach((key) => {
+    assetFilters[key] = source[key] || "";
+    if (filterSelectEls[key]) filterSelectEls[key].value = assetFilters[key];
+  });
+  applyAssetFilters();
+}
+
+function applyViewCamera(cameraView, animate) {
+  if (!cameraView) return;
+  if (walkState.active) setWalkMode(false);
+
+  const position = new THREE.Vector3().copy(cameraView.position);
+  const target = new THREE.Vector3().copy(cameraView.target);
+  if (animate) {
+    startCameraFlight(position, target);
+    return;
+  }
+
+  cameraFlight = null;
+  camera.position.copy(position);
+  controls.target.copy(target);
+  controls.update();
+  requestRender();
+}
+
+function applyView(view, animate) {
+  if (!view) return;
+  applyViewFilters(view.filters);
+  applyViewCamera(view.camera, animate);
+
+  const holder = view.selection ? findHolderByAssetId(view.selection) : null;
+  selectAsset(holder && holder.visible ? holder : null);
+}
+
+function renderViewpointOptions(selectedName) {
+  if (!viewpointSelectEl) return;
+  const viewpoints = ViewState.readViewpoints(VIEWPOINTS_STORAGE_KEY);
+
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = viewpoints.length > 0 ? "Vistas guardadas..." : "Sin vistas guardadas";
+
+  const options = viewpoints.map((item) => {
+    const option = document.createElement("option");
+    option.value = item.name;
+    option.textContent = item.name;
+    return option;
+  });
+
+  viewpointSelectEl.replaceChildren(placeholder, ...options);
+  viewpointSelectEl.value = selectedName || "";
+  if (viewpointDeleteEl) viewpointDeleteEl.disabled = !viewpointSelectEl.value;
+}
+
+function saveCurrentViewpoint() {
+  const count = ViewState.readViewpoints(VIEWPOINTS_STORAGE_KEY).length;
+  const name = window.prompt("Nombre de la vista", `Vista ${count + 1}`);
+  if (!name || !name.trim()) return;
+
+  const saved = ViewState.saveViewpoint(VIEWPOINTS_STORAGE_KEY, name.trim(), getCurrentView());
+  if (!saved) {
+    setStatus("No se pudo guardar la vista en este navegador");
+    return;
+  }
+  renderViewpointOptions(name.trim());
+}
+
+function deleteSelectedViewpoint() {
+  if (!viewpointSelectEl || !viewpointSelectEl.value) return;
+  ViewState.removeViewpoint(VIEWPOINTS_STORAGE_KEY, viewpointSelectEl.value);
+  renderViewpointOptions();
+}
+
+function onViewpointSelectChange() {
+  const name = viewpointSelectEl.value;
+  if (viewpointDeleteEl) viewpointDeleteEl.disabled = !name;
+  const item = ViewState.readViewpoints(VIEWPOINTS_STORAGE_KEY).find((entry) => entry.name === name);
+  if (item) applyView(item.view, true);
+}
+
+function exportViewpoints() {
+  const json = ViewState.exportViewpoints(VIEWPOINTS_STORAGE_KEY, INVENTORY_PATH);
+  saveBlob(new Blob([json], { type: "application/json" }), VIEWPOINTS_FILE_NAME);
+}
+
+async function copyShareLink() {
+  const url = ViewState.getShareUrl(getCurrentView());
+  try {
+    await navigator.clipboard.writeText(url);
+    setStatus("Enlace copiado al portapapeles");
+  } catch (_) {
+    window.prompt("Copiar enlace", url);
+  }
+}
+
+// Stops come either in tour form ({ camera, assetId, caption }) or as
+// entries of an exported viewpoints file ({ name, view }), so a set of
+// saved viewpoints can be dropped in as a tour.
+function normalizeTourStop(raw) {
+  const source = raw || {};
+  const view = source.view || null;
+  const cameraView = view ? view.camera : source.camera;
+  if (!cameraView || !cameraView.position || !cameraView.target) return null;
+
+  const assetId = view ? view.selection : source.assetId;
+  return {
+    caption: String((view ? source.name : source.caption) || ""),
+    assetId: assetId !== undefined && assetId !== null ? String(assetId) : null,
+    position: toVector3(cameraView.position),
+    target: toVector3(cameraView.target),
+    flight: Math.max(asNumber(source.flight, TOUR_FLIGHT_SECONDS), 0.001),
+    hold: Math.max(asNumber(source.hold, TOUR_HOLD_SECONDS), 0)
+  };
+}
+
+function toVector3(source) {
+  const v = getVector3(source, { x: 0, y: 0, z: 0 });
+  return new THREE.Vector3(v.x, v.y, v.z);
+}
+
+// The tour file is optional, like the portal file.
+async function loadTour() {
+  let data;
+  try {
+    const response = await fetch(TOUR_PATH);
+    if (!response.ok) return;
+    data = await response.json();
+  } catch (err) {
+    console.warn(`No se pudo leer ${TOUR_PATH}`, err);
+    return;
+  }
+
+  const list = Array.isArray(data && data.stops) ? data.stops : (data && data.viewpoints) || [];
+  for (let i = 0; i < list.length; i += 1) {
+    const stop = normalizeTourStop(list[i]);
+    if (stop) {
+      tour.stops.push(stop);
+    } else {
+      console.warn(`Parada #${i} en ${TOUR_PATH} no tiene una pose de cámara válida`, list[i]);
+    }
+  }
+  renderTourControls();
+}
+
+function renderTourControls() {
+  if (!tourEl) return;
+  tourEl.hidden = tour.stops.length === 0;
+
+  const stop = tour.stops[tour.index] || null;
+  if (tourCaptionEl) tourCaptionEl.textContent = stop ? stop.caption : "";
+  if (tourProgressEl) {
+    tourProgressEl.textContent = `${Math.max(tour.index + 1, 0)} / ${tour.stops.length}`;
+  }
+  if (tourPlayEl) {
+    tourPlayEl.textContent = tour.playing ? "Pausa" : "Recorrido";
+    tourPlayEl.setAttribute("aria-pressed", String(tour.playing));
+  }
+  if (tourPrevEl) tourPrevEl.disabled = tour.index <= 0;
+  if (tourNextEl) tourNextEl.disabled = tour.index >= tour.stops.length - 1;
+}
+
+function goToTourStop(index) {
+  const stop = tour.stops[index];
+  if (!stop) return;
+
+  tour.index = index;
+  tour.holdElapsed = 0;
+  setWalkMode(false);
+  startCameraFlight(stop.position, stop.target, stop.flight, "tour");
+
+  const holder = stop.assetId ? findHolderByAssetId(stop.assetId) : null;
+  selectAsset(holder && holder.visible ? holder : null);
+  renderTourControls();
+}
+
+// Resuming flies back to the current stop, since pausing drops the flight.
+function playTour() {
+  if (tour.stops.length === 0) return;
+  tour.playing = true;
+  const atEnd = tour.index >= tour.stops.length - 1 && tour.holdElapsed > 0;
+  goToTourStop(tour.index < 0 || atEnd ? 0 : tour.index);
+}
+
+function pauseTour() {
+  if (!tour.playing) return;
+  tour.playing = false;
+  // Flights started elsewhere (asset browser, viewpoints, portals) go on.
+  if (cameraFlight && cameraFlight.owner === "tour") cameraFlight = null;
+  renderTourControls();
+  ensureRenderLoopState();
+}
+
+function stepTour(step) {
+  const index = clamp(tour.index + step, 0, tour.stops.length - 1);
+  if (index !== tour.index) goToTourStop(index);
+}
+
+// Holds start counting once the camera has arrived; the last stop ends the tour.
+function updateTour(delta) {
+  if (!tour.playing || cameraFlight) return;
+
+  const stop = tour.stops[tour.index];
+  tour.holdElapsed += delta;
+  if (!stop || tour.holdElapsed < stop.hold) return;
+
+  if (tour.index < tour.stops.length - 1) {
+    goToTourStop(tour.index + 1);
+  } else {
+    pauseTour();
+  }
+}
+
+function resizeRendererToDisplaySize(rendererRef) {
+  const width = canvas.clientWidth | 0;
+  const height = canvas.clientHeight | 0;
+  const needResize = canvas.width !== width || canvas.height !== height;
+  if (needResize) rendererRef.setSize(width, height, false);
+  return needResize;
+}
+
+function requestRender() {
+  frameRequested = true;
+  ensureRenderLoopState();
+}
+
+function ensureRenderLoopState() {
+  const shouldRun =
+    hasAnimatedModels ||
+    frameRequested ||
+    !!cameraFlight ||
+    tour.playing ||
+    (walkState.active && walkControls.isLocked);
+
+  if (shouldRun && !renderLoopActive) {
+    clock.start();
+    renderer.setAnimationLoop(renderFrame);
+    renderLoopActive = true;
+    return;
+  }
+
+  if (!shouldRun && renderLoopActive) {
+    renderer.setAnimationLoop(null);
+    clock.stop();
+    renderLoopActive = false;
+  }
+}
+
+function renderFrame() {
+  const frameStart = perfHud.beginFrame();
+  const delta = Math.min(clock.getDelta(), 0.05);
+
+  if (resizeRendererToDisplaySize(renderer)) {
+    camera.aspect = canvas.clientWidth / canvas.clientHeight;
+    camera.updateProjectionMatrix();
+    frameRequested = true;
+  }
+
+  if (tour.playing) updateTour(delta);
+
+  if (cameraFlight) {
+    updateCameraFlight(delta);
+    frameRequested = true;
+  }
+
+  if (walkState.active && walkControls.isLocked && updateWalk(delta)) {
+    frameRequested = true;
+  }
+
+  if (updateLevelOfDetail()) {
+    syncAssetVisibility();
+    frameRequested = true;
+  }
+
+  if (hasAnimatedModels) {
+    for (let i = 0; i < activeMixers.length; i += 1) {
+      activeMixers[i].update(delta);
+    }
+    // Clips that play once pause on their last frame; the next LOD pass
+    // drops their mixers so the loop can go back to rendering on demand.
+    if (activeMixers.some((mixer) => !isMixerPlaying(mixer))) lodCamera.dirty = true;
+    if (selectedHolder) selectionBox.update();
+    syncAnimationControls();
+    frameRequested = true;
+  }
+
+  if (!frameRequested) {
+    ensureRenderLoopState();
+    return;
+  }
+
+  frameRequested = false;
+  atmosphere.position.copy(camera.position);
+  renderer.render(scene, camera);
+  perfHud.endFrame(frameStart);
+
+  if (!hasAnimatedModels) {
+    ensureRenderLoopState();
+  }
+}
+
+function nextFrame() {
+  return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+}
+
+const viewFrustum = new THREE.Frustum();
+const viewProjection = new THREE.Matrix4();
+
+function updateViewFrustum() {
+  camera.updateMatrixWorld();
+  viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+  return viewFrustum.setFromProjectionMatrix(viewProjection);
+}
+
+// Lower is sooner: distance from the camera, with a penalty for assets
+// outside the current view.
+function getLoadPriority(entry) {
+  if (!entry.proxy) return Infinity;
+  const distance = entry.proxy.position.distanceTo(camera.position);
+  return viewFrustum.containsPoint(entry.proxy.position)
+    ? distance
+    : distance * OUT_OF_VIEW_PRIORITY_FACTOR;
+}
+
+// Picks the best pending entry whose type still has a free loading slot.
+// Scores are taken against the camera at pick time, so moving around while
+// assets load re-orders what comes next.
+function takeNextLoad(pending, active) {
+  updateViewFrustum();
+
+  let best = -1;
+  let bestScore = Infinity;
+  for (let i = 0; i < pending.length; i += 1) {
+    const type = pending[i].asset.assetType;
+    if (active[type] >= (LOAD_CONCURRENCY[type] || 1)) continue;
+
+    const score = getLoadPriority(pending[i]);
+    if (best < 0 || score < bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  }
+
+  return best < 0 ? null : pending.splice(best, 1)[0];
+}
+
+// Models, images and documents share one queue but each type keeps its own
+// concurrency limit, so a slow model never holds up nearby images.
+function runPrioritizedLoads(entries, worker) {
+  const pending = entries.slice();
+  const active = {};
+  let running = 0;
+
+  return new Promise((resolve) => {
+    function pump() {
+      let entry = takeNextLoad(pending, active);
+      while (entry) {
+        const type = entry.asset.assetType;
+        active[type] = (active[type] || 0) + 1;
+        running += 1;
+
+        worker(entry).finally(() => {
+          active[type] -= 1;
+          running -= 1;
+          pump();
+        });
+        entry = takeNextLoad(pending, active);
+      }
+
+      if (pending.length === 0 && running === 0) resolve();
+    }
+
+    pump();
+  });
+}
+
+function createAtmosphereDome(sceneRef) {
   const geo = new THREE.SphereBufferGeometry(1600, 32, 18);
   const mat = new THREE.ShaderMaterial({
     uniforms: {
@@ -691,6 +3179,7 @@ function updateGroundReference(root, target) {
 
 async function main() {
   setStatus("Cargando inventario...");
+  const startedAt = performance.now();
 
   const response = await fetch(INVENTORY_PATH);
   if (!response.ok) {
@@ -699,37 +3188,72 @@ async function main() {
 
   const inventory = await response.json();
   const assets = Array.isArray(inventory.assets) ? inventory.assets : [];
+  await loadPortals();
+  await loadTour();
 
+  // timings are milliseconds; per asset type they run from the start of
+  // asset loading to the last asset of that type settling.
   const totals = {
     total: assets.length,
     ok: 0,
     fallback: 0,
-    loaded: 0
+    loaded: 0,
+    timings: { inventory: performance.now() - startedAt }
   };
+  perfHud.setPhase("Inventario", totals.timings.inventory);
 
-  const modelAssets = assets.filter((asset) => asset && asset.assetType === "model");
-  const imageAssets = assets.filter((asset) => asset && asset.assetType === "image");
-  const otherAssets = assets.filter(
-    (asset) => !asset || (asset.assetType !== "model" && asset.assetType !== "image")
-  );
+  for (let i = 0; i < assets.length; i += 1) {
+    assetEntries.push(createAssetEntry(assets[i], i));
+  }
+  countFileRepeats(assetEntries);
+  populateAssetFilters();
+  const initialView = ViewState.fromHash(window.location.hash);
+  if (initialView) applyViewFilters(initialView.filters);
+  renderAssetBrowser();
+  const diffPath = new URLSearchParams(window.location.search).get("diff");
+  if (diffPath) await loadInventoryDiff(diffPath);
+  if (diffOpenEl) diffOpenEl.disabled = false;
+
+  const isSupported = (entry) => !!entry.asset && InventoryRules.isSupportedAssetType(entry.asset.assetType);
+  const loadableAssets = assetEntries.filter(isSupported);
+  const otherAssets = assetEntries.filter((entry) => !isSupported(entry));
+
+  // Proxies give the scene its final layout straight away, so the camera can
+  // be framed (or restored from a shared link) before anything has loaded.
+  const fitStartedAt = performance.now();
+  loadableAssets.forEach(addProxy);
+  updateGroundReference(ground, proxies);
+  fitCameraToObject(camera, proxies, controls, 1.4);
+  if (initialView) applyViewCamera(initialView.camera, false);
+  const fittedPosition = camera.position.clone();
+  const fittedTarget = controls.target.clone();
+  totals.timings.cameraFit = performance.now() - fitStartedAt;
+  perfHud.setPhase("Encuadre de cámara", totals.timings.cameraFit);
+  viewHash.ready = true;
+  requestRender();
 
   setStatus(`Cargando assets: 0/${totals.total}`);
 
-  async function handleAsset(asset) {
+  async function handleAsset(entry) {
     try {
-      await addAsset(asset);
+      setAssetEntryHolder(entry, await addAsset(entry.asset), "ok");
       totals.ok += 1;
     } catch (err) {
       totals.fallback += 1;
-      addFallbackPlane(asset, err && err.message ? err.message : "load_error");
+      const reason = err && err.message ? err.message : "load_error";
+      setAssetEntryHolder(entry, addFallbackPlane(entry.asset, reason), "fallback");
     } finally {
       totals.loaded += 1;
+      const type = entry.asset.assetType;
+      totals.timings[type] = performance.now() - loadStartedAt;
+      if (LOAD_PHASE_LABELS[type]) perfHud.setPhase(LOAD_PHASE_LABELS[type], totals.timings[type]);
+      requestRender();
 
       if (totals.loaded % STATUS_UPDATE_EVERY === 0 || totals.loaded === totals.total) {
         setStatus(
           `Cargando assets: ${totals.loaded}/${totals.total} | OK: ${totals.ok} | Fallback: ${totals.fallback}`
         );
-        requestRender();
+        renderAssetBrowser();
       }
 
       if (totals.loaded % YIELD_TO_UI_EVERY === 0) {
@@ -741,23 +3265,127 @@ async function main() {
   for (let i = 0; i < otherAssets.length; i += 1) {
     totals.fallback += 1;
     totals.loaded += 1;
-    addFallbackPlane(otherAssets[i], "unsupported type");
+    setAssetEntryHolder(
+      otherAssets[i],
+      addFallbackPlane(otherAssets[i].asset, "unsupported type"),
+      "fallback"
+    );
   }
 
-  await runWithConcurrency(modelAssets, MODEL_CONCURRENCY, handleAsset);
-  await runWithConcurrency(imageAssets, IMAGE_CONCURRENCY, handleAsset);
+  const loadStartedAt = performance.now();
+  await runPrioritizedLoads(loadableAssets, handleAsset);
+  totals.timings.total = performance.now() - startedAt;
+  perfHud.setPhase("Total", totals.timings.total);
+
+  applyLayerCompositing();
 
+  // The camera stays where the visitor put it while loading; only the
+  // ground and a shared selection wait for the real content. Model proxies
+  // only approximate their models until each file loads, so an untouched
+  // default framing is redone on the real bounds.
   updateGroundReference(ground, world);
-  fitCameraToObject(camera, world, controls, 1.4);
+  if (!initialView && camera.position.equals(fittedPosition) && controls.target.equals(fittedTarget)) {
+    fitCameraToObject(camera, world, controls, 1.4);
+  }
+  if (initialView && initialView.selection && !selectedHolder) {
+    const holder = findHolderByAssetId(initialView.selection);
+    if (holder && holder.visible) selectAsset(holder);
+  }
   requestRender();
 
   setStatus(
     `Listo. Total: ${totals.total} | Cargados: ${totals.ok} | Fallback: ${totals.fallback}`
   );
+  renderAssetBrowser();
+  if (exportButtonEl) exportButtonEl.disabled = false;
 }
 
-controls.addEventListener("change", requestRender);
+controls.addEventListener("change", () => {
+  requestRender();
+  scheduleViewHashUpdate();
+});
+controls.addEventListener("start", () => {
+  pauseTour();
+  cameraFlight = null;
+});
 window.addEventListener("resize", requestRender);
+canvas.addEventListener("pointerdown", onCanvasPointerDown);
+canvas.addEventListener("pointerup", onCanvasPointerUp);
+canvas.addEventListener("dblclick", onCanvasDoubleClick);
+walkControls.addEventListener("change", () => {
+  requestRender();
+  scheduleViewHashUpdate();
+});
+walkControls.addEventListener("lock", requestRender);
+walkControls.addEventListener("unlock", () => {
+  walkState.keys.clear();
+  requestRender();
+});
+if (walkToggleEl) {
+  walkToggleEl.addEventListener("click", () => {
+    pauseTour();
+    setWalkMode(!walkState.active);
+  });
+}
+if (perfToggleEl) perfToggleEl.addEventListener("click", togglePerfHud);
+if (animationsPauseEl) animationsPauseEl.addEventListener("click", toggleAllAnimations);
+if (diffOpenEl && diffFileEl) {
+  diffOpenEl.addEventListener("click", () => diffFileEl.click());
+  diffFileEl.addEventListener("change", onDiffFileChange);
+}
+if (new URLSearchParams(window.location.search).get("stats") === "1") togglePerfHud();
+if (tourPlayEl) tourPlayEl.addEventListener("click", () => (tour.playing ? pauseTour() : playTour()));
+if (tourPrevEl) tourPrevEl.addEventListener("click", () => stepTour(-1));
+if (tourNextEl) tourNextEl.addEventListener("click", () => stepTour(1));
+window.addEventListener("keyup", (event) => {
+  walkState.keys.delete(event.code);
+});
+window.addEventListener("blur", () => walkState.keys.clear());
+window.addEventListener("keydown", (event) => {
+  if (walkState.active && !isTypingTarget(event.target)) walkState.keys.add(event.code);
+  if (event.key === "Escape" && selectedHolder) selectAsset(null);
+  if (selectedHolder && selectedHolder.userData.document) {
+    // Arrow keys already pan OrbitControls, so paging uses PageUp/PageDown.
+    if (event.key === "PageUp") changeDocumentPage(selectedHolder, -1);
+    if (event.key === "PageDown") changeDocumentPage(selectedHolder, 1);
+  }
+});
+if (inspectorCloseEl) inspectorCloseEl.addEventListener("click", () => selectAsset(null));
+if (browserToggleEl && browserEl) {
+  browserToggleEl.addEventListener("click", () => {
+    browserEl.hidden = !browserEl.hidden;
+    browserToggleEl.setAttribute("aria-expanded", String(!browserEl.hidden));
+    renderAssetBrowser();
+  });
+}
+if (browserSearchEl) {
+  browserSearchEl.addEventListener("input", () => {
+    assetFilters.text = browserSearchEl.value.trim().toLowerCase();
+    applyAssetFilters();
+  });
+}
+Object.keys(filterSelectEls).forEach((key) => {
+  const select = filterSelectEls[key];
+  if (!select) return;
+  select.addEventListener("change", () => {
+    assetFilters[key] = select.value;
+    applyAssetFilters();
+  });
+});
+if (browserListEl) browserListEl.addEventListener("click", onBrowserListClick);
+if (exportButtonEl) exportButtonEl.addEventListener("click", exportWorldAsGLB);
+if (viewpointSelectEl) viewpointSelectEl.addEventListener("change", onViewpointSelectChange);
+if (viewpointSaveEl) viewpointSaveEl.addEventListener("click", saveCurrentViewpoint);
+if (viewpointDeleteEl) viewpointDeleteEl.addEventListener("click", deleteSelectedViewpoint);
+if (viewpointExportEl) viewpointExportEl.addEventListener("click", exportViewpoints);
+if (viewpointShareEl) viewpointShareEl.addEventListener("click", copyShareLink);
+window.addEventListener("hashchange", () => {
+  if (!viewHash.ready) return;
+  const view = ViewState.fromHash(window.location.hash);
+  viewHash.last = window.location.hash;
+  applyView(view, true);
+});
+renderViewpointOptions();
 
 main().catch((err) => {
   console.error(err);
@@ -0,0 +1,95 @@
+"use strict";
+
+// Shared by the inventory viewer and the sculpture viewer. Joins an image
+// asset or sculpture layer to its metadata/<NAME>.json file by file name.
+// Exposed as a single global so both pages' top-level names stay separate.
+window.NftMetadata = (function () {
+  function getMetadataKey(fileName) {
+    if (!fileName) return null;
+    const base = String(fileName).split(/[\\/]/).pop();
+    const key = base.replace(/\.[^.]+$/, "");
+    return key || null;
+  }
+
+  function getAssetMetadataKey(asset) {
+    if (!asset) return null;
+    const nft = asset.nftMetadata;
+    if (nft && nft.filename) return getMetadataKey(nft.filename);
+    return asset.assetType === "image" ? getMetadataKey(asset.mapped_file) : null;
+  }
+
+  function formatTraitLabel(traitType) {
+    const text = String(traitType || "").replace(/_/g, " ");
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  function getTraits(metadata) {
+    const attributes = metadata && Array.isArray(metadata.attributes) ? metadata.attributes : [];
+    const traits = [];
+    for (let i = 0; i < attributes.length; i += 1) {
+      const attr = attributes[i];
+      if (!attr || !attr.trait_type) continue;
+      traits.push({
+        type: attr.trait_type,
+        label: formatTraitLabel(attr.trait_type),
+        value: attr.value === null || attr.value === undefined ? "" : String(attr.value)
+      });
+    }
+    return traits;
+  }
+
+  // Inventory nftMetadata wins for marketplace fields; the metadata file
+  // supplies the traits and fills in anything the inventory left out.
+  function summarize(metadata, nftMetadata) {
+    const file = metadata || {};
+    const inv = nftMetadata || {};
+    if (!metadata && !nftMetadata) return null;
+
+    return {
+      name: file.name || inv.filename || null,
+      description: inv.description || file.description || null,
+      tokenID: inv.tokenID || (file.id !== undefined ? String(file.id) : null),
+      marketplace: inv.marketplace || null,
+      link: inv.externalLink || file.opensea_url || file.external_url || null,
+      traits: getTraits(metadata)
+    };
+  }
+
+  function createStore(basePath) {
+    const loaded = new Map();
+    const pending = new Map();
+
+    function peek(key) {
+      return key && loaded.has(key) ? loaded.get(key) : undefined;
+    }
+
+    // Resolves to null when there is no metadata file for the key.
+    function load(key) {
+      if (!key) return Promise.resolve(null);
+      if (loaded.has(key)) return Promise.resolve(loaded.get(key));
+      if (pending.has(key)) return pending.get(key);
+
+      const p = fetch(`${basePath}${encodeURIComponent(key)}.json`)
+        .then((res) => (res.ok ? res.json() : null))
+        .catch(() => null)
+        .then((data) => {
+          loaded.set(key, data);
+          pending.delete(key);
+          return data;
+        });
+
+      pending.set(key, p);
+      return p;
+    }
+
+    return { peek, load };
+  }
+
+  return {
+    getMetadataKey,
+    getAssetMetadataKey,
+    getTraits,
+    summarize,
+    createStore
+  };
+})();
@@ -0,0 +1,254 @@
+"use strict";
+
+// Stats overlay shared by the inventory viewer and the sculpture viewer.
+// Both render on demand, so FPS counts frames actually rendered in the last
+// second (0 while the scene is idle) and frame time is the CPU time of the
+// last frame. renderer.info is read after each viewer's single render() per
+// frame, so its per-frame counters describe the whole scene.
+window.PerfHud = (function () {
+  const REFRESH_MS = 500;
+  const FPS_WINDOW_MS = 1000;
+  const DEFAULT_TOP_COUNT = 5;
+  const DEFAULT_LABELS = {
+    title: "Performance",
+    fps: "FPS",
+    frame: "Frame",
+    calls: "Draw calls",
+    triangles: "Triangles",
+    geometries: "Geometries",
+    textures: "Textures",
+    mixers: "Active mixers",
+    phases: "Load phases",
+    heaviestTriangles: "Most triangles",
+    heaviestTextures: "Most texture memory",
+    empty: "—"
+  };
+
+  function formatCount(n) {
+    return Math.round(n).toLocaleString("en-US");
+  }
+
+  function formatMs(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms.toFixed(1)} ms`;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+
+  // Compressed textures carry their own mip chain; others are counted as
+  // RGBA8, plus a third for generated mips.
+  function estimateTextureBytes(texture) {
+    if (!texture) return 0;
+    if (texture.isCompressedTexture) {
+      return (texture.mipmaps || []).reduce((sum, level) => sum + level.data.byteLength, 0);
+    }
+    const image = texture.image;
+    if (!image || !image.width || !image.height) return 0;
+    const bytes = image.width * image.height * 4;
+    return texture.generateMipmaps ? Math.round((bytes * 4) / 3) : bytes;
+  }
+
+  // Triangles and distinct texture bytes under `root`, for the heaviest
+  // assets list. `skip(node)` leaves out helpers such as LOD proxies.
+  function measureObject(root, skip) {
+    const textures = new Set();
+    let triangles = 0;
+
+    root.traverse((node) => {
+      if (!node.isMesh || (skip && skip(node))) return;
+      const geometry = node.geometry;
+      if (geometry && geometry.attributes && geometry.attributes.position) {
+        const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+        triangles += Math.floor(count / 3);
+      }
+
+      const materials = Array.isArray(node.material) ? node.material : [node.material];
+      materials.forEach((material) => {
+        if (!material) return;
+        Object.keys(material).forEach((key) => {
+          if (material[key] && material[key].isTexture) textures.add(material[key]);
+        });
+      });
+    });
+
+    let textureBytes = 0;
+    textures.forEach((texture) => {
+      textureBytes += estimateTextureBytes(texture);
+    });
+    return { triangles, textureBytes };
+  }
+
+  function createRow(parent, label) {
+    const row = document.createElement("div");
+    row.className = "perf-hud-row";
+    const name = document.createElement("span");
+    name.textContent = label;
+    const value = document.createElement("strong");
+    row.append(name, value);
+    parent.appendChild(row);
+    return value;
+  }
+
+  function createSection(parent, title) {
+    const section = document.createElement("div");
+    section.className = "perf-hud-section";
+    const heading = document.createElement("div");
+    heading.className = "perf-hud-heading";
+    heading.textContent = title;
+    const body = document.createElement("div");
+    section.append(heading, body);
+    parent.appendChild(section);
+    return body;
+  }
+
+  // options: { renderer, container, labels, topCount, getMixerCount,
+  // getAssets }. getAssets() returns [{ label, triangles, textureBytes }]
+  // and is only called while the overlay is open and after invalidateAssets().
+  function create(options) {
+    const labels = Object.assign({}, DEFAULT_LABELS, options.labels);
+    const renderer = options.renderer;
+    const topCount = options.topCount || DEFAULT_TOP_COUNT;
+
+    const el = document.createElement("div");
+    el.className = "perf-hud";
+    el.hidden = true;
+    el.setAttribute("aria-live", "off");
+
+    const title = document.createElement("div");
+    title.className = "perf-hud-title";
+    title.textContent = labels.title;
+    el.appendChild(title);
+
+    const values = {
+      fps: createRow(el, labels.fps),
+      frame: createRow(el, labels.frame),
+      calls: createRow(el, labels.calls),
+      triangles: createRow(el, labels.triangles),
+      geometries: createRow(el, labels.geometries),
+      textures: createRow(el, labels.textures)
+    };
+    if (options.getMixerCount) values.mixers = createRow(el, labels.mixers);
+
+    const phasesEl = createSection(el, labels.phases);
+    const heaviestTrianglesEl = createSection(el, labels.heaviestTriangles);
+    const heaviestTexturesEl = createSection(el, labels.heaviestTextures);
+    options.container.appendChild(el);
+
+    const frameStamps = [];
+    const phases = new Map();
+    let lastFrameMs = 0;
+    let timer = 0;
+    let assetsDirty = true;
+
+    function beginFrame() {
+      return performance.now();
+    }
+
+    function endFrame(start) {
+      const now = performance.now();
+      lastFrameMs = now - start;
+      frameStamps.push(now);
+      while (frameStamps.length > 0 && now - frameStamps[0] > FPS_WINDOW_MS) frameStamps.shift();
+    }
+
+    // Phases keep insertion order; setting one again replaces its time.
+    function setPhase(name, ms) {
+      phases.set(name, ms);
+      if (!el.hidden) renderPhases();
+    }
+
+    function clearPhases() {
+      phases.clear();
+      if (!el.hidden) renderPhases();
+    }
+
+    function invalidateAssets() {
+      assetsDirty = true;
+    }
+
+    function renderPhases() {
+      phasesEl.replaceChildren();
+      if (phases.size === 0) {
+        createRow(phasesEl, labels.empty);
+        return;
+      }
+      phases.forEach((ms, name) => {
+        createRow(phasesEl, name).textContent = formatMs(ms);
+      });
+    }
+
+    function renderTopList(target, assets, key, format) {
+      target.replaceChildren();
+      const ranked = assets
+        .filter((asset) => asset[key] > 0)
+        .sort((a, b) => b[key] - a[key])
+        .slice(0, topCount);
+      if (ranked.length === 0) {
+        createRow(target, labels.empty);
+        return;
+      }
+      ranked.forEach((asset) => {
+        const value = createRow(target, asset.label);
+        value.textContent = format(asset[key]);
+        value.parentNode.title = asset.label;
+      });
+    }
+
+    function renderHeaviest() {
+      if (!options.getAssets || !assetsDirty) return;
+      assetsDirty = false;
+      const assets = options.getAssets();
+      renderTopList(heaviestTrianglesEl, assets, "triangles", formatCount);
+      renderTopList(heaviestTexturesEl, assets, "textureBytes", formatBytes);
+    }
+
+    function refresh() {
+      const now = performance.now();
+      while (frameStamps.length > 0 && now - frameStamps[0] > FPS_WINDOW_MS) frameStamps.shift();
+
+      const info = renderer.info;
+      values.fps.textContent = String(frameStamps.length);
+      values.frame.textContent = formatMs(lastFrameMs);
+      values.calls.textContent = formatCount(info.render.calls);
+      values.triangles.textContent = formatCount(info.render.triangles);
+      values.geometries.textContent = formatCount(info.memory.geometries);
+      values.textures.textContent = formatCount(info.memory.textures);
+      if (values.mixers) values.mixers.textContent = formatCount(options.getMixerCount());
+      renderHeaviest();
+    }
+
+    function setVisible(visible) {
+      el.hidden = !visible;
+      clearInterval(timer);
+      timer = 0;
+      if (!visible) return;
+
+      assetsDirty = true;
+      renderPhases();
+      refresh();
+      timer = setInterval(refresh, REFRESH_MS);
+    }
+
+    function toggle() {
+      setVisible(el.hidden);
+      return !el.hidden;
+    }
+
+    return {
+      element: el,
+      beginFrame,
+      endFrame,
+      setPhase,
+      clearPhases,
+      invalidateAssets,
+      refresh,
+      setVisible,
+      toggle,
+      isVisible: () => !el.hidden
+    };
+  }
+
+  return { create, measureObject, estimateTextureBytes, formatBytes };
+})();
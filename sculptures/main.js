@@ -1,15 +1,48 @@
 "use strict";
 
 const SCULPTURE_BASE_PATH = "data/";
+const GALLERY_MANIFEST_PATH = `${SCULPTURE_BASE_PATH}index.json`;
+const DEFAULT_SCULPTURE_KEY = "ORINOCO_PORTAL";
+const DEFAULT_IMAGE_BASE_URL = "https://github.oblokos.com/art/";
+// Every layer image also ships in the repo's images/ folder.
+const LOCAL_IMAGE_BASE_URL = "../images/";
+const IMAGE_PROBE_TIMEOUT_MS = 4000;
+const GALLERY_THUMB_SIZE = { w: 240, h: 160 };
+const SCULPTURE_SCHEMA_PATH = "sculpture.schema.json";
+const SCULPTURE_SCHEMA_VERSION = 1;
+const MAX_SCHEMA_ERRORS_SHOWN = 5;
+const METADATA_BASE_PATH = "../metadata/";
 const THEME_STORAGE_KEY = "sculpture-ui-theme";
+const VIEWPOINTS_STORAGE_PREFIX = "sculpture-viewpoints:";
+const VIEW_HASH_DELAY_MS = 300;
 const COPY_FEEDBACK_MS = 1200;
+const CLICK_DRAG_TOLERANCE = 4;
+const LAYER_OUTLINE_COLOR = 0xff8a3d;
+// Full explode spreads the layers over this many times the largest layer
+// size, front to back in file order.
+const EXPLODE_DEPTH = 1;
+// Fraction of the remaining explode distance covered per second (eased).
+const EXPLODE_EASING = 8;
+// Opacity factor for layers ghosted by isolation mode.
+const GHOST_OPACITY = 0.12;
 const FALLBACK_SIZE = { w: 1, h: 1 };
+const LAYER_BLENDING = {
+  normal: THREE.NormalBlending,
+  additive: THREE.AdditiveBlending,
+  multiply: THREE.MultiplyBlending,
+  subtractive: THREE.SubtractiveBlending
+};
 const VIEWER_CONFIG = {
   // Spatial export appears mirrored in this viewer; keep this enabled.
-  mirrorXAxisOnImport: true
+  mirrorXAxisOnImport: true,
+  // Premultiplied alpha for every layer, and stable stacking in file order
+  // (draw order within the group plus polygon offset) for overlapping
+  // coplanar layers.
+  layerCompositing: true
 };
 
 const tmpQuat = new THREE.Quaternion();
+const nftStore = NftMetadata.createStore(METADATA_BASE_PATH);
 
 function asNumber(value, fallback) {
   const n = Number(value);
@@ -90,6 +123,50 @@ function getQueryParam(name, fallback = null) {
   return params.get(name) ?? fallback;
 }
 
+function isOfflineMode() {
+  return getQueryParam("offline") === "1";
+}
+
+function getRemoteImageBase(sculpture) {
+  return sculpture.image_base_url ?? DEFAULT_IMAGE_BASE_URL;
+}
+
+const imageBaseProbes = new Map();
+
+function probeImageUrl(url) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    const timer = setTimeout(() => {
+      img.src = "";
+      resolve(false);
+    }, IMAGE_PROBE_TIMEOUT_MS);
+    img.onload = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    img.onerror = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    img.src = url;
+  });
+}
+
+// Uses the sculpture's own image host unless ?offline=1 is set or one
+// probe image from it does not load; each host is probed once per page.
+async function resolveImageBase(sculpture) {
+  const remote = getRemoteImageBase(sculpture);
+  if (isOfflineMode() || remote === LOCAL_IMAGE_BASE_URL) return LOCAL_IMAGE_BASE_URL;
+
+  const layer = (sculpture.layers ?? []).find((item) => item?.id);
+  if (!layer) return remote;
+
+  if (!imageBaseProbes.has(remote)) {
+    imageBaseProbes.set(remote, probeImageUrl(`${remote}${layer.id}.png`));
+  }
+  return (await imageBaseProbes.get(remote)) ? remote : LOCAL_IMAGE_BASE_URL;
+}
+
 function shortenText(value, max = 42) {
   if (!value) return "n/a";
   if (value.length <= max) return value;
@@ -194,19 +271,26 @@ function applyViewMode() {
   summary.classList.toggle("compact-mode", !toggle.checked);
 }
 
+function getLayerFilterQuery() {
+  const input = document.querySelector("#layer-search");
+  return input ? input.value.trim().toLowerCase() : "";
+}
+
+function layerMatchesQuery(layerId, query) {
+  return String(layerId ?? "").toLowerCase().includes(query);
+}
+
 function applyLayerFilter() {
   const summary = document.querySelector("#summary");
-  const input = document.querySelector("#layer-search");
   const empty = document.querySelector("#summary-empty");
-  if (!summary || !input || !empty) return;
+  if (!summary || !empty) return;
 
-  const query = input.value.trim().toLowerCase();
+  const query = getLayerFilterQuery();
   const items = summary.querySelectorAll(".layer-item");
 
   let visibleCount = 0;
   items.forEach((item) => {
-    const layerId = (item.dataset.layerId || "").toLowerCase();
-    const matches = layerId.includes(query);
+    const matches = layerMatchesQuery(item.dataset.layerId, query);
     item.classList.toggle("d-none", !matches);
     if (matches) visibleCount += 1;
   });
@@ -236,6 +320,8 @@ function addCard(layer, imgUrl) {
   const layerId = String(layer.id ?? "");
 
   node.dataset.layerId = layerId;
+  node.dataset.layerIndex = String(layer.index ?? "");
+  node.dataset.nftKey = NftMetadata.getMetadataKey(layerId) ?? "";
 
   const thumb = node.querySelector(".layer-thumb");
   thumb.src = imgUrl;
@@ -252,22 +338,169 @@ function addCard(layer, imgUrl) {
   return node;
 }
 
+function buildNftTooltipContent(nft) {
+  const root = document.createElement("div");
+  root.className = "nft-tooltip-body";
+
+  if (nft.name) {
+    const name = document.createElement("strong");
+    name.textContent = nft.tokenID ? `${nft.name} #${nft.tokenID}` : nft.name;
+    root.appendChild(name);
+  }
+
+  if (nft.description) {
+    const description = document.createElement("div");
+    description.className = "nft-description";
+    description.textContent = nft.description;
+    root.appendChild(description);
+  }
+
+  for (const trait of nft.traits) {
+    const row = document.createElement("div");
+    row.className = "nft-trait";
+    const label = document.createElement("span");
+    label.textContent = trait.label;
+    const value = document.createElement("span");
+    value.textContent = trait.value;
+    row.append(label, value);
+    root.appendChild(row);
+  }
+
+  return root;
+}
+
+async function attachNftTooltip(item) {
+  if (!item || item.dataset.nftState) return;
+  item.dataset.nftState = "loading";
+
+  const metadata = await nftStore.load(item.dataset.nftKey);
+  const nft = NftMetadata.summarize(metadata, null);
+  if (!nft) {
+    item.dataset.nftState = "none";
+    return;
+  }
+
+  const card = item.querySelector(".layer-card") ?? item;
+  item.dataset.nftState = "ready";
+
+  if (typeof bootstrap === "undefined" || !bootstrap.Tooltip) {
+    card.title = [nft.description, ...nft.traits.map((t) => `${t.label}: ${t.value}`)]
+      .filter(Boolean)
+      .join("\n");
+    return;
+  }
+
+  const tooltip = new bootstrap.Tooltip(card, {
+    title: buildNftTooltipContent(nft),
+    html: true,
+    placement: "auto",
+    trigger: "hover focus",
+    customClass: "nft-tooltip"
+  });
+
+  // The first hover already happened while the metadata was loading.
+  if (card.matches(":hover")) tooltip.show();
+}
+
 function renderSummary(layers, baseUrl) {
   const summary = document.querySelector("#summary");
   if (!summary) return;
 
+  if (typeof bootstrap !== "undefined" && bootstrap.Tooltip) {
+    summary.querySelectorAll(".layer-card").forEach((card) => bootstrap.Tooltip.getInstance(card)?.dispose());
+  }
   summary.innerHTML = "";
 
-  for (const layer of layers ?? []) {
+  (layers ?? []).forEach((layer, index) => {
     const id = String(layer?.id ?? "");
-    const card = addCard({ id }, `${baseUrl}${id}.png`);
+    const card = addCard({ id, index }, `${baseUrl}${id}.png`);
     if (card) summary.appendChild(card);
-  }
+  });
 
   applyViewMode();
   applyLayerFilter();
 }
 
+async function loadGalleryManifest() {
+  try {
+    const res = await fetch(GALLERY_MANIFEST_PATH);
+    if (!res.ok) throw new Error(`Could not load ${GALLERY_MANIFEST_PATH} (${res.status})`);
+    const manifest = await res.json();
+    return (manifest.sculptures ?? []).filter((entry) => entry && typeof entry.key === "string");
+  } catch (err) {
+    console.warn(err);
+    return [];
+  }
+}
+
+function getCoverUrl(sculpture) {
+  const base = isOfflineMode() ? LOCAL_IMAGE_BASE_URL : getRemoteImageBase(sculpture);
+  const layer = (sculpture.layers ?? []).find((item) => item.role !== "sample" && item.visible !== false);
+  return layer ? `${base}${layer.id}.png` : "";
+}
+
+function setGalleryThumbnail(key, url) {
+  const item = document.querySelector(`#gallery .gallery-item[data-key="${CSS.escape(key)}"]`);
+  const img = item?.querySelector(".gallery-thumb");
+  if (!img || !url) return;
+  img.src = url;
+}
+
+function setActiveGalleryItem(key) {
+  document.querySelectorAll("#gallery .gallery-item").forEach((item) => {
+    const active = item.dataset.key === key;
+    item.classList.toggle("active", active);
+    item.setAttribute("aria-current", active ? "true" : "false");
+  });
+}
+
+// Names and layer counts come from the sculpture files themselves, so the
+// manifest only has to list keys.
+function renderGallery(entries, activeKey) {
+  const gallery = document.querySelector("#gallery");
+  if (!gallery) return;
+
+  gallery.innerHTML = "";
+  gallery.closest(".gallery-strip")?.classList.toggle("d-none", entries.length === 0);
+
+  for (const entry of entries) {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "gallery-item";
+    item.dataset.key = entry.key;
+
+    const img = document.createElement("img");
+    img.className = "gallery-thumb";
+    img.alt = "";
+    img.loading = "lazy";
+    if (entry.cover) img.src = entry.cover;
+
+    const name = document.createElement("span");
+    name.className = "gallery-name";
+    name.textContent = entry.name ?? entry.key;
+
+    const count = document.createElement("span");
+    count.className = "gallery-count";
+    count.textContent = "- layers";
+
+    item.append(img, name, count);
+    gallery.appendChild(item);
+
+    loadSculpture(entry.key)
+      .then((sculpture) => {
+        name.textContent = sculpture.name ?? entry.name ?? entry.key;
+        count.textContent = `${(sculpture.layers ?? []).length} layers`;
+        if (!img.getAttribute("src")) img.src = getCoverUrl(sculpture);
+      })
+      .catch(() => {
+        count.textContent = "unavailable";
+        item.disabled = true;
+      });
+  }
+
+  setActiveGalleryItem(activeKey);
+}
+
 async function copyToClipboard(text) {
   if (!text) return false;
 
@@ -344,17 +577,138 @@ function centerObjectAtOrigin(object3D) {
   object3D.position.sub(center);
 }
 
-async function loadSculpture(name) {
+function resolveSchemaRef(rootSchema, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported schema $ref: ${ref}`);
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => (node ? node[key] : undefined), rootSchema);
+}
+
+function matchesSchemaType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  if (type === "array") return Array.isArray(value);
+  if (type === "object") return value !== null && typeof value === "object" && !Array.isArray(value);
+  if (type === "null") return value === null;
+  return typeof value === type;
+}
+
+// Covers the JSON Schema subset used by sculpture.schema.json; returns a list
+// of "path: message" strings, empty when the value is valid.
+function validateSchema(schema, value, rootSchema = schema, path = "$") {
+  if (schema.$ref) {
+    return validateSchema(resolveSchemaRef(rootSchema, schema.$ref), value, rootSchema, path);
+  }
+
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some((option) => validateSchema(option, value, rootSchema, path).length === 0);
+    return ok ? [] : [`${path}: does not match any allowed form`];
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesSchemaType(value, type))) {
+      return [`${path}: expected ${types.join(" or ")}`];
+    }
+  }
+
+  const errors = [];
+
+  if ("const" in schema && value !== schema.const) errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  }
+  if (typeof value === "number") {
+    if ("minimum" in schema && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if ("maximum" in schema && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    if ("exclusiveMinimum" in schema && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+  }
+  if (typeof value === "string" && "minLength" in schema && value.length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if ("minItems" in schema && value.length < schema.minItems) errors.push(`${path}: too few items`);
+    if ("maxItems" in schema && value.length > schema.maxItems) errors.push(`${path}: too many items`);
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, rootSchema, `${path}[${index}]`));
+      });
+    }
+  } else if (value !== null && typeof value === "object") {
+    const properties = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push(`${path}: missing "${key}"`);
+    }
+    for (const key of Object.keys(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], value[key], rootSchema, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unknown property "${key}"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+let sculptureSchemaPromise = null;
+const sculptureCache = new Map();
+
+function loadSculptureSchema() {
+  if (!sculptureSchemaPromise) {
+    sculptureSchemaPromise = fetch(SCULPTURE_SCHEMA_PATH).then((res) => {
+      if (!res.ok) throw new Error(`Could not load ${SCULPTURE_SCHEMA_PATH} (${res.status})`);
+      return res.json();
+    });
+  }
+  return sculptureSchemaPromise;
+}
+
+function loadSculpture(name) {
+  if (!sculptureCache.has(name)) {
+    const p = fetchSculpture(name);
+    sculptureCache.set(name, p);
+    p.catch(() => sculptureCache.delete(name));
+  }
+  return sculptureCache.get(name);
+}
+
+async function fetchSculpture(name) {
   const url = `${SCULPTURE_BASE_PATH}${name}.json`;
-  const res = await fetch(url);
+  const [res, schema] = await Promise.all([fetch(url), loadSculptureSchema()]);
   if (!res.ok) throw new Error(`Could not load ${url} (${res.status})`);
-  return await res.json();
+  const sculpture = await res.json();
+
+  const version = sculpture?.schema_version ?? SCULPTURE_SCHEMA_VERSION;
+  if (version !== SCULPTURE_SCHEMA_VERSION) {
+    throw new Error(
+      `${url} uses schema_version ${version}; this viewer supports ${SCULPTURE_SCHEMA_VERSION}.`
+    );
+  }
+
+  const errors = validateSchema(schema, sculpture);
+  if (errors.length > 0) {
+    const shown = errors.slice(0, MAX_SCHEMA_ERRORS_SHOWN).join("; ");
+    const more = errors.length > MAX_SCHEMA_ERRORS_SHOWN ? ` (+${errors.length - MAX_SCHEMA_ERRORS_SHOWN} more)` : "";
+    throw new Error(`${url} is not a valid sculpture: ${shown}${more}`);
+  }
+
+  return sculpture;
 }
 
 async function main() {
   const canvas = document.querySelector("#c");
   const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: false });
   renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
+  const perfHud = PerfHud.create({
+    renderer,
+    container: document.querySelector(".canvas-shell"),
+    getAssets: getLayerWeights
+  });
 
   const scene = new THREE.Scene();
   applyTheme(readTheme(), scene);
@@ -366,44 +720,38 @@ async function main() {
   controls.target.set(0, 0, 0);
   controls.update();
 
-  const sculptureKey = getQueryParam("sculpture", "ORINOCO_PORTAL");
-  const sculptureBadge = document.querySelector("#sculpt-key-badge");
-  if (sculptureBadge) sculptureBadge.textContent = `sculpture: ${sculptureKey}`;
-
-  clearStatus();
-  setLoading(true, "Loading sculpture data...");
-
-  const sculpture = await loadSculpture(sculptureKey);
-  const layers = sculpture.layers ?? [];
-  const base = sculpture.image_base_url ?? "https://github.oblokos.com/art/";
-
-  document.querySelector("#sculpt-name").textContent = sculpture.name ?? sculptureKey;
-
-  const loc = document.querySelector("#sculpt-location");
-  if (sculpture.location_url) {
-    loc.href = sculpture.location_url;
-    loc.textContent = "Open in Spatial";
-    loc.classList.remove("disabled");
-    loc.setAttribute("aria-disabled", "false");
-  } else {
-    loc.removeAttribute("href");
-    loc.textContent = "Open in Spatial";
-    loc.classList.add("disabled");
-    loc.setAttribute("aria-disabled", "true");
-  }
-
-  renderSummary(layers, base);
-  updateStats(layers, base);
-
-  const group = new THREE.Group();
-  scene.add(group);
-
   const loader = new THREE.TextureLoader();
-  const matCache = new Map();
-  let pendingTextures = 0;
-  let textureWarningShown = false;
-
-  const textureReadyCallbacks = new Map();
+  const imageLoader = new THREE.ImageLoader();
+  const galleryThumbnails = new Map();
+  let session = null;
+  let loadToken = 0;
+  LayerCompositing.install(renderer, scene, () => session?.compositeMaterials ?? null);
+
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const pointerDown = { x: 0, y: 0, active: false };
+  const outlineMaterial = new THREE.LineBasicMaterial({
+    color: LAYER_OUTLINE_COLOR,
+    depthTest: false,
+    transparent: true
+  });
+  const outlines = new Map();
+  let hoveredLayerId = null;
+  let selectedLayerId = null;
+  // value eases towards target in render(); both run 0..1.
+  const explode = { value: 0, target: 0, lastTime: 0 };
+  const tmpNormal = new THREE.Vector3();
+  let isolateSelected = false;
+
+  // Layers by weight for the stats overlay.
+  function getLayerWeights() {
+    if (!session) return [];
+    return session.group.children.map((holder) => {
+      const weight = PerfHud.measureObject(holder);
+      weight.label = holder.userData.layerId || `layer ${holder.userData.layerIndex}`;
+      return weight;
+    });
+  }
 
   function getPlaneSizeFromTexture(texture) {
     const image = texture?.image;
@@ -428,23 +776,71 @@ async function main() {
     back.geometry = new THREE.PlaneBufferGeometry(size.w, size.h);
   }
 
+  // Everything built for one sculpture hangs off its session, so switching
+  // sculptures can dispose it in one place.
+  function createSession(key, sculpture, base) {
+    return {
+      key,
+      sculpture,
+      layers: sculpture.layers ?? [],
+      base,
+      group: new THREE.Group(),
+      textureCache: new Map(),
+      matCache: new Map(),
+      // base material -> ghost clone, and back.
+      ghostMaterials: new Map(),
+      ghostSources: new Map(),
+      compositeMaterials: LayerCompositing.createMaterialCache(),
+      compositingDirty: true,
+      textureReadyCallbacks: new Map(),
+      pendingTextures: 0,
+      startedAt: performance.now(),
+      texturesSettled: false,
+      textureWarningShown: false,
+      disposed: false
+    };
+  }
+
+  function disposeSession(target) {
+    if (!target) return;
+
+    target.disposed = true;
+    scene.remove(target.group);
+    target.group.traverse((node) => {
+      if ((node.isMesh || node.isLine) && node.geometry) node.geometry.dispose();
+    });
+    outlines.clear();
+    hoveredLayerId = null;
+    selectedLayerId = null;
+    for (const mat of target.matCache.values()) mat.dispose();
+    for (const mat of target.ghostMaterials.values()) mat.dispose();
+    target.ghostMaterials.clear();
+    target.ghostSources.clear();
+    LayerCompositing.disposeMaterialCache(target.compositeMaterials);
+    for (const tex of target.textureCache.values()) tex.dispose();
+    target.matCache.clear();
+    target.textureCache.clear();
+    target.textureReadyCallbacks.clear();
+  }
+
   function updateTextureLoading() {
-    if (pendingTextures > 0) {
-      setLoading(true, `Loading layers (${pendingTextures})...`);
+    const pending = session ? session.pendingTextures : 0;
+    if (pending > 0) {
+      setLoading(true, `Loading layers (${pending})...`);
       return;
     }
     setLoading(false);
   }
 
-  function getMaterial(id, onTextureReady) {
-    if (matCache.has(id)) {
-      const cached = matCache.get(id);
+  function getTexture(target, id, onTextureReady) {
+    if (target.textureCache.has(id)) {
+      const cached = target.textureCache.get(id);
       if (typeof onTextureReady === "function") {
-        const callbacks = textureReadyCallbacks.get(id);
+        const callbacks = target.textureReadyCallbacks.get(id);
         if (callbacks) {
           callbacks.push(onTextureReady);
         } else {
-          onTextureReady(cached.map);
+          onTextureReady(cached);
         }
       }
       return cached;
@@ -452,110 +848,516 @@ async function main() {
 
     const readyCallbacks = [];
     if (typeof onTextureReady === "function") readyCallbacks.push(onTextureReady);
-    textureReadyCallbacks.set(id, readyCallbacks);
+    target.textureReadyCallbacks.set(id, readyCallbacks);
 
-    pendingTextures += 1;
+    target.pendingTextures += 1;
     updateTextureLoading();
 
-    const tex = loader.load(
-      `${base}${id}.png`,
-      () => {
-        pendingTextures = Math.max(0, pendingTextures - 1);
-        updateTextureLoading();
-
-        const callbacks = textureReadyCallbacks.get(id) ?? [];
-        for (const callback of callbacks) {
-          try {
-            callback(tex);
-          } catch (_) {
-            // Ignore callback errors for size updates.
-          }
+    const onTextureLoaded = () => {
+      if (target.disposed) return;
+      target.pendingTextures = Math.max(0, target.pendingTextures - 1);
+      updateTextureLoading();
+      perfHud.invalidateAssets();
+
+      const callbacks = target.textureReadyCallbacks.get(id) ?? [];
+      for (const callback of callbacks) {
+        try {
+          callback(tex);
+        } catch (_) {
+          // Ignore callback errors for size updates.
         }
-        textureReadyCallbacks.delete(id);
+      }
+      target.textureReadyCallbacks.delete(id);
 
-        requestRenderIfNotRequested();
-      },
-      undefined,
-      () => {
-        pendingTextures = Math.max(0, pendingTextures - 1);
-        updateTextureLoading();
-
-        if (!textureWarningShown) {
-          showStatus("Some layer textures failed to load.", "warning");
-          textureWarningShown = true;
-        }
+      onSessionTextureSettled(target);
+    };
 
-        textureReadyCallbacks.delete(id);
-        requestRenderIfNotRequested();
+    const onTextureFailed = () => {
+      if (target.disposed) return;
+      target.pendingTextures = Math.max(0, target.pendingTextures - 1);
+      updateTextureLoading();
+
+      if (!target.textureWarningShown) {
+        showStatus("Some layer textures failed to load.", "warning");
+        target.textureWarningShown = true;
       }
-    );
+
+      target.textureReadyCallbacks.delete(id);
+      onSessionTextureSettled(target);
+    };
+
+    const tex = loader.load(`${target.base}${id}.png`, onTextureLoaded, undefined, () => {
+      if (target.disposed) return;
+      if (target.base === LOCAL_IMAGE_BASE_URL) {
+        onTextureFailed();
+        return;
+      }
+
+      // The remote host can drop out after the probe; retry into the same
+      // texture so materials that already use it pick the image up.
+      imageLoader.load(
+        `${LOCAL_IMAGE_BASE_URL}${id}.png`,
+        (image) => {
+          tex.image = image;
+          tex.needsUpdate = true;
+          onTextureLoaded();
+        },
+        undefined,
+        onTextureFailed
+      );
+    });
+
+    target.textureCache.set(id, tex);
+    return tex;
+  }
+
+  // Materials are shared by every layer with the same image and look.
+  function getMaterial(target, layer, onTextureReady) {
+    const opacity = asNumber(layer.opacity, 1);
+    const blend = LAYER_BLENDING[layer.blend] ? layer.blend : "normal";
+    const isBackdrop = layer.role === "backdrop";
+    const key = `${layer.id}|${opacity}|${blend}|${isBackdrop ? "backdrop" : "art"}`;
+
+    const texture = getTexture(target, layer.id, onTextureReady);
+    if (target.matCache.has(key)) return target.matCache.get(key);
 
     const mat = new THREE.MeshBasicMaterial({
-      map: tex,
+      map: texture,
       transparent: true,
+      opacity,
+      blending: LAYER_BLENDING[blend],
+      // MultiplyBlending is only valid with premultiplied alpha in three.js.
+      premultipliedAlpha: VIEWER_CONFIG.layerCompositing || blend === "multiply",
       depthTest: true,
-      depthWrite: true,
+      depthWrite: !isBackdrop,
       side: THREE.FrontSide
     });
-    matCache.set(id, mat);
+    target.matCache.set(key, mat);
     return mat;
   }
 
-  function makePlane(layer) {
+  function hasExplicitSize(layer) {
+    const w = Number(layer.size?.w);
+    const h = Number(layer.size?.h);
+    return Number.isFinite(w) && Number.isFinite(h) && w > 0 && h > 0;
+  }
+
+  function makePlane(target, layer, index) {
+    // Samples are listed with the layers but are reference material only.
     if (layer.role === "sample") {
       return;
     }
 
+    const group = target.group;
+    const explicitSize = hasExplicitSize(layer);
     const geo = new THREE.PlaneBufferGeometry(FALLBACK_SIZE.w, FALLBACK_SIZE.h);
     let front;
     let back;
     const holder = new THREE.Group();
 
-    const mat = getMaterial(layer.id, (texture) => {
-      if (!front || !back) return;
-      applyRealSize(front, back, texture);
-      centerObjectAtOrigin(group);
-      fitCameraToObject(camera, group, controls, 1.35);
-      requestRenderIfNotRequested();
-    });
+    const onTextureReady = explicitSize
+      ? null
+      : (texture) => {
+          if (!front || !back) return;
+          applyRealSize(front, back, texture);
+          target.compositingDirty = true;
+          if (outlines.has(holder)) {
+            setPlaneOutline(holder, false);
+            setPlaneOutline(holder, true);
+          }
+          centerObjectAtOrigin(group);
+          fitCameraToObject(camera, group, controls, 1.35);
+          requestRenderIfNotRequested();
+        };
+    const mat = getMaterial(target, layer, onTextureReady);
 
     front = new THREE.Mesh(geo, mat);
     back = new THREE.Mesh(geo, mat);
     back.rotation.y = Math.PI;
     back.scale.x = -1;
 
+    if (layer.role === "backdrop") {
+      front.renderOrder = -1;
+      back.renderOrder = -1;
+    }
+
     holder.add(front);
     holder.add(back);
     applyTransform(holder, layer);
+    if (explicitSize) {
+      holder.scale.set(Number(layer.size.w), Number(layer.size.h), holder.scale.z);
+    }
+    // The authored position; exploding offsets layers from here.
+    holder.userData.basePosition = { x: holder.position.x, y: holder.position.y, z: holder.position.z };
+    holder.userData.baseVisible = layer.visible !== false;
+    holder.visible = holder.userData.baseVisible;
+    holder.name = String(layer.id ?? "layer");
+    holder.userData.layerId = String(layer.id ?? "");
+    holder.userData.layerIndex = index;
 
     group.add(holder);
   }
 
-  for (const layer of layers) makePlane(layer);
+  // Once every texture of the sculpture on screen has settled, keep a small
+  // render of it as that sculpture's gallery thumbnail.
+  function onSessionTextureSettled(target) {
+    requestRenderIfNotRequested();
+    if (target === session && target.pendingTextures === 0 && !target.texturesSettled) {
+      target.texturesSettled = true;
+      perfHud.setPhase("Images", performance.now() - target.startedAt);
+    }
+    if (target !== session || target.pendingTextures > 0 || galleryThumbnails.has(target.key)) return;
+
+    render();
+    const thumb = document.createElement("canvas");
+    thumb.width = GALLERY_THUMB_SIZE.w;
+    thumb.height = GALLERY_THUMB_SIZE.h;
+    const ctx = thumb.getContext("2d");
+    const scale = Math.max(thumb.width / canvas.width, thumb.height / canvas.height);
+    const w = canvas.width * scale;
+    const h = canvas.height * scale;
+    // Read the drawing buffer in the same task as render(); it is cleared after compositing.
+    ctx.drawImage(canvas, (thumb.width - w) / 2, (thumb.height - h) / 2, w, h);
+
+    const dataUrl = thumb.toDataURL("image/jpeg", 0.8);
+    galleryThumbnails.set(target.key, dataUrl);
+    setGalleryThumbnail(target.key, dataUrl);
+  }
 
-  centerObjectAtOrigin(group);
-  fitCameraToObject(camera, group, controls, 1.35);
+  function updateHeader(key, sculpture) {
+    const sculptureBadge = document.querySelector("#sculpt-key-badge");
+    if (sculptureBadge) sculptureBadge.textContent = `sculpture: ${key}`;
+
+    document.querySelector("#sculpt-name").textContent = sculpture.name ?? key;
+
+    const loc = document.querySelector("#sculpt-location");
+    if (sculpture.location_url) {
+      loc.href = sculpture.location_url;
+      loc.textContent = "Open in Spatial";
+      loc.classList.remove("disabled");
+      loc.setAttribute("aria-disabled", "false");
+    } else {
+      loc.removeAttribute("href");
+      loc.textContent = "Open in Spatial";
+      loc.classList.add("disabled");
+      loc.setAttribute("aria-disabled", "true");
+    }
+  }
 
-  document.querySelector("#download").addEventListener("click", (e) => {
-    e.preventDefault();
-      // (opcional pero recomendado)
-    scene.updateMatrixWorld(true);
+  async function openSculpture(key, { updateHistory = false, view = null } = {}) {
+    const token = ++loadToken;
+    const startedAt = performance.now();
+
+    clearStatus();
+    setLoading(true, "Loading sculpture data...");
+
+    const sculpture = await loadSculpture(key);
+    const base = await resolveImageBase(sculpture);
+    // A newer switch started while this one was loading.
+    if (token !== loadToken) return;
+
+    disposeSession(session);
+    session = createSession(key, sculpture, base);
+    perfHud.clearPhases();
+    perfHud.setPhase("Sculpture data", session.startedAt - startedAt);
+    perfHud.invalidateAssets();
+
+    updateHeader(key, sculpture);
+    renderSummary(session.layers, session.base);
+    updateStats(session.layers, session.base);
+    setActiveGalleryItem(key);
+
+    if (updateHistory) {
+      const url = new URL(window.location.href);
+      url.searchParams.set("sculpture", key);
+      // The hash describes a view of the previous sculpture.
+      url.hash = "";
+      window.history.pushState({ sculpture: key }, "", url);
+    }
 
-    // 1) Sanitizar geometrías antes de exportar (ver sección 3)
-    sanitizeForGLTF(scene);
-    const filenameBase = (sculpture.name ?? sculptureKey).replace(/\s+/g, "_");
-    const exporter = new THREE.GLTFExporter();
-    const options = {
-      trs: true,
-      onlyVisible: true,
-      truncateDrawRange: true,
-      binary: false,
-      embedImages: true,
-      maxTextureSize: 1024
+    scene.add(session.group);
+    session.layers.forEach((layer, index) => makePlane(session, layer, index));
+    applyPlaneFilter();
+    applyExplode();
+
+    const fitStartedAt = performance.now();
+    centerObjectAtOrigin(session.group);
+    fitCameraToObject(camera, session.group, controls, 1.35);
+    perfHud.setPhase("Camera fit", performance.now() - fitStartedAt);
+    selectedLayerId = null;
+    applyLayerIsolation();
+    if (view) applyView(view);
+    renderViewpointOptions();
+    scheduleViewHashUpdate();
+
+    updateTextureLoading();
+    onSessionTextureSettled(session);
+  }
+
+  // Hides planes the layer search filters out, on top of each layer's own
+  // `visible` flag.
+  function applyPlaneFilter() {
+    if (!session) return;
+    const query = getLayerFilterQuery();
+    for (const holder of session.group.children) {
+      holder.visible = holder.userData.baseVisible && layerMatchesQuery(holder.userData.layerId, query);
+    }
+    requestRenderIfNotRequested();
+  }
+
+  function setPlaneOutline(holder, enabled) {
+    const existing = outlines.get(holder);
+    if (!enabled) {
+      if (existing) {
+        holder.remove(existing);
+        existing.geometry.dispose();
+        outlines.delete(holder);
+      }
+      return;
+    }
+    if (existing) return;
+
+    const outline = new THREE.LineSegments(new THREE.EdgesGeometry(holder.children[0].geometry), outlineMaterial);
+    outline.renderOrder = 999;
+    holder.add(outline);
+    outlines.set(holder, outline);
+  }
+
+  // Offsets every layer along its own normal, centred on the middle layer,
+  // so near-coplanar layers separate without the composite drifting away.
+  function applyExplode() {
+    if (!session) return;
+    const holders = session.group.children;
+    let size = 0;
+    for (const holder of holders) size = Math.max(size, Math.abs(holder.scale.x), Math.abs(holder.scale.y));
+
+    const gap = holders.length > 1 ? (explode.value * EXPLODE_DEPTH * size) / (holders.length - 1) : 0;
+    const middle = (holders.length - 1) / 2;
+    holders.forEach((holder, rank) => {
+      const base = holder.userData.basePosition;
+      tmpNormal.set(0, 0, 1).applyQuaternion(holder.quaternion);
+      holder.position.set(base.x, base.y, base.z).addScaledVector(tmpNormal, (rank - middle) * gap);
+    });
+  }
+
+  // Returns true while the transition still needs frames.
+  function stepExplode(now) {
+    if (explode.value === explode.target) return false;
+
+    const dt = explode.lastTime ? Math.min((now - explode.lastTime) / 1000, 0.1) : 1 / 60;
+    explode.lastTime = now;
+    explode.value += (explode.target - explode.value) * Math.min(1, dt * EXPLODE_EASING);
+    if (Math.abs(explode.target - explode.value) < 1e-3) {
+      explode.value = explode.target;
+      explode.lastTime = 0;
+    }
+    applyExplode();
+    return explode.value !== explode.target;
+  }
+
+  function setExplodeTarget(value) {
+    explode.target = THREE.MathUtils.clamp(value, 0, 1);
+    requestRenderIfNotRequested();
+  }
+
+  function getGhostMaterial(target, material) {
+    let ghost = target.ghostMaterials.get(material);
+    if (!ghost) {
+      ghost = material.clone();
+      ghost.opacity = material.opacity * GHOST_OPACITY;
+      ghost.transparent = true;
+      ghost.depthWrite = false;
+      target.ghostMaterials.set(material, ghost);
+      target.ghostSources.set(ghost, material);
+    }
+    return ghost;
+  }
+
+  function getBaseMaterial(target, material) {
+    return target.ghostSources.get(material) ?? material;
+  }
+
+  // Groups are found from the authored positions, so exploding the layers
+  // apart keeps their ranks. Backdrops always draw first and are left out.
+  function applyLayerCompositing() {
+    if (!session || !VIEWER_CONFIG.layerCompositing) return;
+    session.compositingDirty = false;
+
+    const cache = session.compositeMaterials;
+    const planes = [];
+    for (const holder of session.group.children) {
+      const [front, back] = holder.children;
+      if (front.renderOrder < 0) continue;
+
+      front.material = getBaseMaterial(session, front.material);
+      back.material = getBaseMaterial(session, back.material);
+      LayerCompositing.resetPlane(cache, front, back);
+
+      const base = holder.userData.basePosition;
+      const size = front.geometry.parameters;
+      planes.push({
+        holder,
+        order: holder.userData.layerIndex,
+        center: new THREE.Vector3(base.x, base.y, base.z),
+        normal: new THREE.Vector3(0, 0, 1).applyQuaternion(holder.quaternion),
+        radius: 0.5 * Math.hypot(size.width * Math.abs(holder.scale.x), size.height * Math.abs(holder.scale.y))
+      });
+    }
+
+    for (const group of LayerCompositing.findCoplanarGroups(planes)) {
+      group.forEach((plane, rank) => {
+        const [front, back] = plane.holder.children;
+        LayerCompositing.rankPlane(cache, front, back, rank, group);
+      });
+    }
+    applyLayerIsolation();
+  }
+
+  // With isolation on, every layer but the selected one is ghosted; with
+  // nothing selected all layers draw normally.
+  function applyLayerIsolation() {
+    if (!session) return;
+    const isolatedId = isolateSelected ? selectedLayerId : null;
+
+    for (const holder of session.group.children) {
+      const ghosted = isolatedId !== null && holder.userData.layerId !== isolatedId;
+      for (const child of holder.children) {
+        if (!child.isMesh) continue;
+        const base = getBaseMaterial(session, child.material);
+        child.material = ghosted ? getGhostMaterial(session, base) : base;
+      }
+    }
+  }
+
+  function refreshLayerHighlights() {
+    if (!session) return;
+    applyLayerIsolation();
+
+    for (const holder of session.group.children) {
+      const id = holder.userData.layerId;
+      setPlaneOutline(holder, id === hoveredLayerId || id === selectedLayerId);
+    }
+
+    document.querySelectorAll("#summary .layer-item").forEach((item) => {
+      item.classList.toggle("is-linked", item.dataset.layerId === hoveredLayerId);
+      item.classList.toggle("is-selected", item.dataset.layerId === selectedLayerId);
+    });
+
+    requestRenderIfNotRequested();
+  }
+
+  function selectLayer(layerId, layerIndex) {
+    selectedLayerId = layerId || null;
+    refreshLayerHighlights();
+    scheduleViewHashUpdate();
+
+    if (layerIndex === undefined || layerIndex === null) return;
+    const card = document.querySelector(`#summary .layer-item[data-layer-index="${layerIndex}"]`);
+    if (card) card.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }
+
+  function pickLayerHolder(clientX, clientY) {
+    if (!session) return null;
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width <= 0 || rect.height <= 0) return null;
+
+    pointer.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+
+    // Raycaster ignores `visible`; holders are the group's direct children.
+    const hits = raycaster.intersectObjects(session.group.children, true);
+    for (const hit of hits) {
+      if (!hit.object.isMesh) continue;
+      const holder = hit.object.parent;
+      if (holder?.parent === session.group && holder.visible) return holder;
+    }
+    return null;
+  }
+
+  function switchSculpture(key, options) {
+    if (session && session.key === key && !options?.force) return;
+    openSculpture(key, options).catch((e) => {
+      console.error(e);
+      setLoading(false);
+      showStatus(e.message || "Unexpected error while loading sculpture.", "danger");
+    });
+  }
+
+  function readExportOptions() {
+    const form = document.querySelector("#export-form");
+    if (!form) {
+      return { binary: true, maxTextureSize: 1024, onlyMatching: false, centered: true };
+    }
+
+    return {
+      binary: form.elements.format.value !== "gltf",
+      maxTextureSize: Number(form.elements.textureCap.value) || Infinity,
+      onlyMatching: form.elements.onlyMatching.checked,
+      centered: form.elements.coordinates.value !== "original"
     };
+  }
+
+  // Builds a detached copy of the sculpture so export-time geometry fixes
+  // never touch the meshes on screen.
+  function buildExportGroup(options) {
+    const query = options.onlyMatching ? getLayerFilterQuery() : "";
+    const root = new THREE.Group();
+    root.name = session.sculpture.name ?? session.key;
+
+    if (options.centered) root.position.copy(session.group.position);
+
+    for (const holder of session.group.children) {
+      if (!holder.userData.baseVisible || !layerMatchesQuery(holder.userData.layerId, query)) continue;
+
+      const copy = holder.clone(true);
+      copy.visible = true;
+      // Exploded offsets and ghosting are viewing aids; export the layer as authored.
+      const base = holder.userData.basePosition;
+      copy.position.set(base.x, base.y, base.z);
+      // Original coordinates are Spatial's own, so the import mirroring is
+      // undone (it is its own inverse) rather than only skipping centring.
+      if (!options.centered && VIEWER_CONFIG.mirrorXAxisOnImport) {
+        copy.position.x = -copy.position.x;
+        const q = copy.quaternion;
+        q.set(q.x, -q.y, -q.z, q.w);
+      }
+      // Selection outlines are viewer chrome, not part of the sculpture.
+      for (const child of [...copy.children]) {
+        if (!child.isMesh) copy.remove(child);
+      }
+      copy.traverse((node) => {
+        if (!node.isMesh) return;
+        if (node.geometry) node.geometry = node.geometry.clone();
+        node.material = LayerCompositing.getSourceMaterial(
+          session.compositeMaterials,
+          getBaseMaterial(session, node.material)
+        );
+      });
+      root.add(copy);
+    }
+
+    sanitizeForGLTF(root);
+    root.updateMatrixWorld(true);
+    return root;
+  }
+
+  function exportSculpture(options) {
+    if (!session) return;
+
+    const root = buildExportGroup(options);
+    if (root.children.length === 0) {
+      showStatus("No layers to export with the current options.", "warning");
+      return;
+    }
+
+    const filenameBase = (session.sculpture.name ?? session.key).replace(/\s+/g, "_");
+    const exporter = new THREE.GLTFExporter();
 
     exporter.parse(
-      scene,
+      root,
       (gltfOrArrayBuffer) => {
         if (gltfOrArrayBuffer instanceof ArrayBuffer) {
           saveArrayBuffer(gltfOrArrayBuffer, `${filenameBase}.glb`);
@@ -565,11 +1367,46 @@ async function main() {
         const output = JSON.stringify(gltfOrArrayBuffer, null, 2);
         saveString(output, `${filenameBase}.gltf`);
       },
-      (err) => console.log("Export error:", err),
-      options
+      {
+        trs: true,
+        onlyVisible: true,
+        truncateDrawRange: true,
+        binary: options.binary,
+        embedImages: true,
+        maxTextureSize: options.maxTextureSize
+      }
     );
+  }
+
+  const exportModalEl = document.querySelector("#export-modal");
+  const exportModal =
+    exportModalEl && typeof bootstrap !== "undefined" && bootstrap.Modal
+      ? bootstrap.Modal.getOrCreateInstance(exportModalEl)
+      : null;
+
+  document.querySelector("#download").addEventListener("click", (e) => {
+    e.preventDefault();
+    if (exportModal) {
+      exportModal.show();
+      return;
+    }
+    exportSculpture(readExportOptions());
   });
 
+  const exportForm = document.querySelector("#export-form");
+  if (exportForm) {
+    exportForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      try {
+        exportSculpture(readExportOptions());
+      } catch (err) {
+        console.error("Export error:", err);
+        showStatus(`Export failed: ${err.message || err}`, "danger");
+      }
+      if (exportModal) exportModal.hide();
+    });
+  }
+
   function resizeRendererToDisplaySize() {
     const width = canvas.clientWidth | 0;
     const height = canvas.clientHeight | 0;
@@ -580,13 +1417,17 @@ async function main() {
 
   let renderRequested = false;
 
-  function render() {
+  function render(now = performance.now()) {
+    const frameStart = perfHud.beginFrame();
     renderRequested = false;
     if (resizeRendererToDisplaySize()) {
       camera.aspect = canvas.clientWidth / canvas.clientHeight;
       camera.updateProjectionMatrix();
     }
+    if (stepExplode(now)) requestRenderIfNotRequested();
+    if (session?.compositingDirty) applyLayerCompositing();
     renderer.render(scene, camera);
+    perfHud.endFrame(frameStart);
   }
 
   function requestRenderIfNotRequested() {
@@ -596,8 +1437,160 @@ async function main() {
     }
   }
 
+  // Views use the shape from ../view-state.js; the sculpture key stays in
+  // the query string, so the hash only carries camera, layer and search.
+  let viewHashTimer = 0;
+  let lastViewHash = "";
+
+  function getViewpointsStorageKey() {
+    return `${VIEWPOINTS_STORAGE_PREFIX}${session?.key ?? ""}`;
+  }
+
+  function getCurrentView() {
+    return {
+      camera: {
+        position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+        target: { x: controls.target.x, y: controls.target.y, z: controls.target.z }
+      },
+      selection: selectedLayerId,
+      filters: { q: getLayerFilterQuery() }
+    };
+  }
+
+  function scheduleViewHashUpdate() {
+    if (!session) return;
+    clearTimeout(viewHashTimer);
+    viewHashTimer = setTimeout(() => {
+      const view = getCurrentView();
+      const hash = ViewState.toHash(view);
+      if (hash === lastViewHash) return;
+      lastViewHash = hash;
+      ViewState.writeHash(view);
+    }, VIEW_HASH_DELAY_MS);
+  }
+
+  function applyView(view) {
+    if (!view || !session) return;
+
+    const search = document.querySelector("#layer-search");
+    if (search) search.value = view.filters?.q ?? "";
+    applyLayerFilter();
+    applyPlaneFilter();
+
+    if (view.camera) {
+      camera.position.copy(view.camera.position);
+      controls.target.copy(view.camera.target);
+      controls.update();
+    }
+
+    const holder = session.group.children.find((item) => item.userData.layerId === view.selection);
+    if (holder) {
+      selectLayer(holder.userData.layerId, holder.userData.layerIndex);
+    } else {
+      selectLayer(null);
+    }
+    requestRenderIfNotRequested();
+  }
+
+  function renderViewpointOptions(selectedName = "") {
+    const select = document.querySelector("#viewpoint-select");
+    if (!select) return;
+    const viewpoints = ViewState.readViewpoints(getViewpointsStorageKey());
+
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = viewpoints.length > 0 ? "Saved views..." : "No saved views";
+
+    const options = viewpoints.map((item) => {
+      const option = document.createElement("option");
+      option.value = item.name;
+      option.textContent = item.name;
+      return option;
+    });
+
+    select.replaceChildren(placeholder, ...options);
+    select.value = selectedName;
+    const deleteButton = document.querySelector("#viewpoint-delete");
+    if (deleteButton) deleteButton.disabled = !select.value;
+  }
+
+  const viewpointSelect = document.querySelector("#viewpoint-select");
+  if (viewpointSelect) {
+    viewpointSelect.addEventListener("change", () => {
+      const name = viewpointSelect.value;
+      const deleteButton = document.querySelector("#viewpoint-delete");
+      if (deleteButton) deleteButton.disabled = !name;
+      const item = ViewState.readViewpoints(getViewpointsStorageKey()).find((entry) => entry.name === name);
+      if (item) applyView(item.view);
+    });
+  }
+
+  const viewpointSave = document.querySelector("#viewpoint-save");
+  if (viewpointSave) {
+    viewpointSave.addEventListener("click", () => {
+      if (!session) return;
+      const count = ViewState.readViewpoints(getViewpointsStorageKey()).length;
+      const name = window.prompt("View name", `View ${count + 1}`)?.trim();
+      if (!name) return;
+
+      if (!ViewState.saveViewpoint(getViewpointsStorageKey(), name, getCurrentView())) {
+        showStatus("Could not save the view in this browser.", "warning");
+        return;
+      }
+      renderViewpointOptions(name);
+    });
+  }
+
+  const viewpointDelete = document.querySelector("#viewpoint-delete");
+  if (viewpointDelete) {
+    viewpointDelete.addEventListener("click", () => {
+      if (!viewpointSelect?.value) return;
+      ViewState.removeViewpoint(getViewpointsStorageKey(), viewpointSelect.value);
+      renderViewpointOptions();
+    });
+  }
+
+  const viewpointExport = document.querySelector("#viewpoint-export");
+  if (viewpointExport) {
+    viewpointExport.addEventListener("click", () => {
+      if (!session) return;
+      const json = ViewState.exportViewpoints(getViewpointsStorageKey(), session.key);
+      save(new Blob([json], { type: "application/json" }), `${session.key}_viewpoints.json`);
+    });
+  }
+
+  const viewpointShare = document.querySelector("#viewpoint-share");
+  if (viewpointShare) {
+    viewpointShare.addEventListener("click", async () => {
+      const original = viewpointShare.textContent;
+      let ok = false;
+      try {
+        ok = await copyToClipboard(ViewState.getShareUrl(getCurrentView()));
+      } catch (_) {
+        ok = false;
+      }
+
+      viewpointShare.textContent = ok ? "Copied" : "Failed";
+      setTimeout(() => {
+        viewpointShare.textContent = original;
+      }, COPY_FEEDBACK_MS);
+    });
+  }
+
+  window.addEventListener("hashchange", () => {
+    const view = ViewState.fromHash(window.location.hash);
+    lastViewHash = window.location.hash;
+    applyView(view);
+  });
+
   const layerSearch = document.querySelector("#layer-search");
-  if (layerSearch) layerSearch.addEventListener("input", applyLayerFilter);
+  if (layerSearch) {
+    layerSearch.addEventListener("input", () => {
+      applyLayerFilter();
+      applyPlaneFilter();
+      scheduleViewHashUpdate();
+    });
+  }
 
   const viewModeToggle = document.querySelector("#view-mode-toggle");
   if (viewModeToggle) {
@@ -609,9 +1602,32 @@ async function main() {
 
   const summary = document.querySelector("#summary");
   if (summary) {
+    summary.addEventListener("mouseover", (event) => {
+      const item = event.target.closest(".layer-item");
+      attachNftTooltip(item);
+      if (item && item.dataset.layerId !== hoveredLayerId) {
+        hoveredLayerId = item.dataset.layerId;
+        refreshLayerHighlights();
+      }
+    });
+
+    summary.addEventListener("mouseout", (event) => {
+      const item = event.target.closest(".layer-item");
+      if (!item || item.contains(event.relatedTarget)) return;
+      hoveredLayerId = null;
+      refreshLayerHighlights();
+    });
+
     summary.addEventListener("click", async (event) => {
       const button = event.target.closest(".copy-id-btn");
-      if (!button) return;
+      if (!button) {
+        const item = event.target.closest(".layer-item");
+        if (item) {
+          const layerId = item.dataset.layerId === selectedLayerId ? null : item.dataset.layerId;
+          selectLayer(layerId);
+        }
+        return;
+      }
 
       const layerId =
         button.getAttribute("data-layer-id") ||
@@ -633,6 +1649,41 @@ async function main() {
     });
   }
 
+  const gallery = document.querySelector("#gallery");
+  if (gallery) {
+    gallery.addEventListener("click", (event) => {
+      const item = event.target.closest(".gallery-item");
+      if (item?.dataset.key) switchSculpture(item.dataset.key, { updateHistory: true });
+    });
+  }
+
+  window.addEventListener("popstate", () => {
+    switchSculpture(getQueryParam("sculpture", DEFAULT_SCULPTURE_KEY), {
+      view: ViewState.fromHash(window.location.hash)
+    });
+  });
+
+  const explodeRange = document.querySelector("#explode-range");
+  if (explodeRange) {
+    explodeRange.addEventListener("input", () => setExplodeTarget(Number(explodeRange.value)));
+  }
+
+  const isolateToggle = document.querySelector("#isolate-toggle");
+  if (isolateToggle) {
+    isolateToggle.addEventListener("change", () => {
+      isolateSelected = isolateToggle.checked;
+      refreshLayerHighlights();
+    });
+  }
+
+  const statsToggle = document.querySelector("#stats-toggle");
+  if (statsToggle) {
+    statsToggle.addEventListener("click", () => {
+      statsToggle.setAttribute("aria-pressed", String(perfHud.toggle()));
+    });
+    if (getQueryParam("stats") === "1") statsToggle.click();
+  }
+
   const themeToggle = document.querySelector("#theme-toggle");
   if (themeToggle) {
     themeToggle.addEventListener("click", () => {
@@ -643,11 +1694,41 @@ async function main() {
     });
   }
 
-  controls.addEventListener("change", requestRenderIfNotRequested);
+  canvas.addEventListener("pointerdown", (event) => {
+    if (event.button !== 0) return;
+    pointerDown.x = event.clientX;
+    pointerDown.y = event.clientY;
+    pointerDown.active = true;
+  });
+
+  canvas.addEventListener("pointerup", (event) => {
+    if (!pointerDown.active || event.button !== 0) return;
+    pointerDown.active = false;
+
+    // Orbit drags also end in pointerup; only near-stationary presses pick.
+    const dx = event.clientX - pointerDown.x;
+    const dy = event.clientY - pointerDown.y;
+    if (dx * dx + dy * dy > CLICK_DRAG_TOLERANCE * CLICK_DRAG_TOLERANCE) return;
+
+    const holder = pickLayerHolder(event.clientX, event.clientY);
+    if (holder) {
+      selectLayer(holder.userData.layerId, holder.userData.layerIndex);
+    } else {
+      selectLayer(null);
+    }
+  });
+
+  controls.addEventListener("change", () => {
+    requestRenderIfNotRequested();
+    scheduleViewHashUpdate();
+  });
   window.addEventListener("resize", requestRenderIfNotRequested);
 
+  const sculptureKey = getQueryParam("sculpture", DEFAULT_SCULPTURE_KEY);
+  renderGallery(await loadGalleryManifest(), sculptureKey);
+
+  await openSculpture(sculptureKey, { view: ViewState.fromHash(window.location.hash) });
   render();
-  updateTextureLoading();
 }
 
 main().catch((e) => {
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+"use strict";
+
+// Builds Basis Universal variants of images/ for the inventory viewer, which
+// loads them instead of the PNG/JPEG sources when the GPU can transcode them.
+// Needs the basisu encoder on PATH (https://github.com/BinomialLLC/basis_universal).
+//
+//   node tools/compress-textures.js [--force]
+//
+// Writes images/basis/<name>.basis plus images/basis/manifest.json mapping
+// each source file name to its .basis file. Files already newer than their
+// source are skipped unless --force is given. Mip levels and the Y flip are
+// baked in, matching what the viewer does for source images. Exit codes:
+// 0 ok, 1 some files failed, 2 basisu not found.
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const IMAGES_DIR = path.resolve(__dirname, "..", "images");
+const BASIS_DIR = path.join(IMAGES_DIR, "basis");
+const MANIFEST_PATH = path.join(BASIS_DIR, "manifest.json");
+const SOURCE_EXTENSIONS = new Set([".png", ".jpg", ".jpeg"]);
+const BASISU = process.env.BASISU || "basisu";
+
+function listSourceImages() {
+  return fs
+    .readdirSync(IMAGES_DIR)
+    .filter((name) => SOURCE_EXTENSIONS.has(path.extname(name).toLowerCase()))
+    .sort();
+}
+
+function isUpToDate(source, target) {
+  if (!fs.existsSync(target)) return false;
+  return fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+function compress(source) {
+  return spawnSync(BASISU, ["-mipmap", "-y_flip", "-output_path", BASIS_DIR, source], { encoding: "utf8" });
+}
+
+function main(argv) {
+  const force = argv.slice(2).includes("--force");
+  const probe = spawnSync(BASISU, ["-version"], { encoding: "utf8" });
+  if (probe.error) {
+    console.error(`${BASISU} not found; set BASISU or add it to PATH`);
+    return 2;
+  }
+
+  fs.mkdirSync(BASIS_DIR, { recursive: true });
+  const files = {};
+  let failed = false;
+
+  for (const name of listSourceImages()) {
+    const source = path.join(IMAGES_DIR, name);
+    const basisName = `${path.basename(name, path.extname(name))}.basis`;
+    const target = path.join(BASIS_DIR, basisName);
+
+    if (!force && isUpToDate(source, target)) {
+      files[name] = basisName;
+      console.log(`ok       ${name}`);
+      continue;
+    }
+
+    const result = compress(source);
+    if (result.status !== 0 || !fs.existsSync(target)) {
+      failed = true;
+      console.error(`failed   ${name}: ${(result.stderr || result.stdout || "").trim().split("\n").pop()}`);
+      continue;
+    }
+    files[name] = basisName;
+    console.log(`wrote    ${basisName}`);
+  }
+
+  const manifest = { schema_version: 1, generated_at: new Date().toISOString(), files };
+  fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`${Object.keys(files).length} variant(s) listed in ${path.relative(process.cwd(), MANIFEST_PATH)}`);
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv);
+}
+
+module.exports = { listSourceImages };
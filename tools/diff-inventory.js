@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+"use strict";
+
+// Reports what changed between two inventory snapshots, matched by assetId,
+// using the same comparison as the viewer's diff overlay (../inventory-diff.js).
+//
+//   node tools/diff-inventory.js <before.json> [after.json] [--json]
+//        [--position 0.001] [--rotation 0.1] [--scale 0.001]
+//
+// `after` defaults to ../asset_inventory_full.json. Tolerances are in
+// inventory units, degrees and scale units. Exit codes: 0 no differences,
+// 1 differences found, 2 an inventory could not be read.
+
+const fs = require("fs");
+const path = require("path");
+const InventoryDiff = require("../inventory-diff");
+
+const DEFAULT_AFTER = path.resolve(__dirname, "..", "asset_inventory_full.json");
+const TOLERANCE_OPTIONS = ["--position", "--rotation", "--scale"];
+
+function readInventory(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function parseTolerance(args) {
+  const tolerance = {};
+  TOLERANCE_OPTIONS.forEach((option) => {
+    const index = args.indexOf(option);
+    if (index < 0) return;
+    const value = Number(args[index + 1]);
+    if (!Number.isFinite(value) || value < 0) throw new Error(`${option} needs a non-negative number`);
+    tolerance[option.slice(2)] = value;
+  });
+  return tolerance;
+}
+
+function describeAsset(asset) {
+  return `${asset.assetId} (${asset.assetType || "no type"}) ${asset.title || asset.mapped_file || ""}`.trim();
+}
+
+function describeChange(change) {
+  const d = change.details;
+  const parts = [];
+  if (d.distance !== undefined) parts.push(`moved ${d.distance.toFixed(3)}`);
+  if (d.angle !== undefined) parts.push(`rotated ${d.angle.toFixed(2)}°`);
+  if (d.scaleDelta !== undefined) parts.push(`scaled ±${d.scaleDelta.toFixed(3)}`);
+  if (change.changes.includes("remapped")) parts.push(`remapped ${d.from || "-"} -> ${d.to || "-"}`);
+  return `  ${describeAsset(change.after)}  ${parts.join("; ")}`;
+}
+
+function printReport(diff, beforePath, afterPath) {
+  const lines = [`Before: ${beforePath}`, `After:  ${afterPath}`, ""];
+
+  lines.push(`Added: ${diff.added.length}`);
+  diff.added.forEach((asset) => lines.push(`  ${describeAsset(asset)}`));
+  lines.push(`Removed: ${diff.removed.length}`);
+  diff.removed.forEach((asset) => lines.push(`  ${describeAsset(asset)}`));
+
+  InventoryDiff.CHANGE_KINDS.forEach((kind) => {
+    const changes = diff.changed.filter((change) => change.changes.includes(kind));
+    lines.push(`${kind[0].toUpperCase()}${kind.slice(1)}: ${changes.length}`);
+  });
+  lines.push(`Changed assets: ${diff.changed.length}`);
+  diff.changed.forEach((change) => lines.push(describeChange(change)));
+
+  lines.push("", `Unchanged: ${diff.unchanged}`);
+  console.log(lines.join("\n"));
+}
+
+// --json keeps only ids and measurements; the assets are in the inputs.
+function toJsonReport(diff) {
+  return {
+    tolerance: diff.tolerance,
+    added: diff.added.map((asset) => asset.assetId),
+    removed: diff.removed.map((asset) => asset.assetId),
+    changed: diff.changed.map((change) => ({
+      assetId: change.assetId,
+      changes: change.changes,
+      details: change.details
+    })),
+    unchanged: diff.unchanged
+  };
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const asJson = args.includes("--json");
+  const positional = args.filter((arg, i) => !arg.startsWith("--") && !TOLERANCE_OPTIONS.includes(args[i - 1]));
+  if (positional.length === 0) {
+    console.error("Usage: node tools/diff-inventory.js <before.json> [after.json] [--json] [--position n] [--rotation deg] [--scale n]");
+    return 2;
+  }
+
+  const beforePath = path.resolve(positional[0]);
+  const afterPath = path.resolve(positional[1] || DEFAULT_AFTER);
+  let tolerance;
+  let before;
+  let after;
+  try {
+    tolerance = parseTolerance(args);
+    before = readInventory(beforePath);
+    after = readInventory(afterPath);
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+
+  const diff = InventoryDiff.diffInventories(before, after, { tolerance });
+  if (asJson) {
+    console.log(JSON.stringify(toJsonReport(diff), null, 2));
+  } else {
+    printReport(diff, path.relative(process.cwd(), beforePath) || beforePath, path.relative(process.cwd(), afterPath) || afterPath);
+  }
+  return diff.added.length + diff.removed.length + diff.changed.length === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv);
+}
+
+module.exports = { toJsonReport };
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+"use strict";
+
+// Converts a Spatial polymer data export (polymerData-out.json) into the
+// inventory schema the viewer reads (asset_inventory_full.json).
+//
+//   node tools/import-spatial.js <polymerData.json> [--out inventory.json]
+//        [--previous inventory.json | --no-previous] [--root dir] [--json]
+//
+// Assets are the objects anywhere in the export whose `url` is a
+// spatialcontent:// link. Fields are copied under their inventory names
+// (a few export spellings are accepted, see FIELD_ALIASES). OpenSea links
+// carry a base64 JSON descriptor (chain, contract, token_id) that fills in
+// nftMetadata.tokenID and externalLink when the export lacks them.
+//
+// mapped_file is resolved in this order:
+//   1. the file the previous inventory used for the same asset, or failing
+//      that for the same content url,
+//   2. a local file in the type's folder whose name matches the NFT
+//      filename or the title, ignoring case and punctuation.
+// The report lists assets left unmapped and mappings whose file is missing.
+//
+// --out defaults to ../asset_inventory_full.json and --previous to the
+// --out file when it exists. --root is the viewer directory holding the
+// models/, images/ and documents/ folders, ../ by default. Exit codes: 0 every asset mapped to a local
+// file, 1 some could not be, 2 the export could not be read.
+
+const fs = require("fs");
+const path = require("path");
+const InventoryRules = require("../inventory-rules");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const DEFAULT_OUT = path.join(ROOT_DIR, "asset_inventory_full.json");
+const CONTENT_URL_PREFIX = "spatialcontent://";
+const OPENSEA_ASSET_URL = "https://opensea.io/assets";
+
+// Inventory field -> export spellings tried in order.
+const FIELD_ALIASES = {
+  assetId: ["assetId", "id", "objectId"],
+  assetType: ["assetType", "type"],
+  link: ["link", "sourceUrl"],
+  title: ["title", "name"],
+  creator: ["creator", "author"],
+  description: ["description"],
+  contentType: ["contentType", "mimeType"]
+};
+
+// Used when the export has no asset type.
+const PROVIDER_ASSET_TYPES = { sketchfab: "model", opensea: "image" };
+const CONTENT_TYPE_PREFIXES = [
+  ["image/", "image"],
+  ["application/pdf", "document"],
+  ["model/", "model"]
+];
+
+function pickField(source, name) {
+  const aliases = FIELD_ALIASES[name];
+  for (let i = 0; i < aliases.length; i += 1) {
+    const value = source[aliases[i]];
+    if (value !== undefined && value !== "") return value;
+  }
+  return null;
+}
+
+function collectContentObjects(node, found) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => collectContentObjects(item, found));
+  } else if (node && typeof node === "object") {
+    if (typeof node.url === "string" && node.url.startsWith(CONTENT_URL_PREFIX)) {
+      found.push(node);
+      return found;
+    }
+    Object.keys(node).forEach((key) => collectContentObjects(node[key], found));
+  }
+  return found;
+}
+
+// spatialcontent://<provider>:<id>[:<base64 descriptor>]
+function parseContentUrl(url) {
+  const parts = url.slice(CONTENT_URL_PREFIX.length).split(":");
+  const result = { provider: (parts[0] || "").toLowerCase(), contentId: parts[1] || null, descriptor: null };
+  if (parts.length < 3) return result;
+
+  try {
+    const decoded = JSON.parse(Buffer.from(parts.slice(2).join(":"), "base64").toString("utf8"));
+    result.descriptor = {
+      chain: decoded.chain_identifier || null,
+      contract: decoded.contract_address || null,
+      tokenId: decoded.token_id !== undefined ? String(decoded.token_id) : null
+    };
+  } catch (_) {
+    // Not every provider appends a descriptor; keep the url as is.
+  }
+  return result;
+}
+
+function inferAssetType(raw, provider) {
+  const explicit = pickField(raw, "assetType");
+  if (explicit) return String(explicit).toLowerCase();
+
+  const contentType = String(pickField(raw, "contentType") || "").toLowerCase();
+  for (let i = 0; i < CONTENT_TYPE_PREFIXES.length; i += 1) {
+    if (contentType.startsWith(CONTENT_TYPE_PREFIXES[i][0])) return CONTENT_TYPE_PREFIXES[i][1];
+  }
+  return PROVIDER_ASSET_TYPES[provider] || "unknown";
+}
+
+// Quaternions are written as [x, y, z, w] like the rest of the inventory.
+function buildTransform(raw) {
+  const source = raw.transform && typeof raw.transform === "object" ? raw.transform : raw;
+  const rotation = InventoryRules.parseRotation(source.rotation);
+  return {
+    position: InventoryRules.getVector3(source.position, { x: 0, y: 0, z: 0 }),
+    rotation:
+      rotation.kind === "euler"
+        ? { x: rotation.x, y: rotation.y, z: rotation.z }
+        : [rotation.x, rotation.y, rotation.z, rotation.w],
+    scale: InventoryRules.getVector3(source.scale, { x: 1, y: 1, z: 1 })
+  };
+}
+
+function buildNftMetadata(raw, descriptor) {
+  const nft = Object.assign({}, raw.nftMetadata || {});
+  if (descriptor) {
+    if (!nft.tokenID && descriptor.tokenId) nft.tokenID = descriptor.tokenId;
+    if (!nft.externalLink && descriptor.chain && descriptor.contract && descriptor.tokenId) {
+      nft.externalLink = `${OPENSEA_ASSET_URL}/${descriptor.chain}/${descriptor.contract}/${descriptor.tokenId}`;
+    }
+    if (!nft.marketplace) nft.marketplace = "OpenSea";
+  }
+  return nft;
+}
+
+function normalizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+// type -> Map(normalized base name -> file name) for each asset folder.
+function indexLocalFiles(rootDir) {
+  const index = {};
+  Object.keys(InventoryRules.ASSET_TYPE_PATHS).forEach((type) => {
+    const dir = path.join(rootDir, InventoryRules.ASSET_TYPE_PATHS[type]);
+    const files = new Map();
+    if (fs.existsSync(dir)) {
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => entry.isFile())
+        .forEach((entry) => {
+          const key = normalizeName(path.parse(entry.name).name);
+          if (key && !files.has(key)) files.set(key, entry.name);
+        });
+    }
+    index[type] = files;
+  });
+  return index;
+}
+
+// mapped_file from an earlier inventory, for content whose file name cannot
+// be derived (direct uploads named differently from their title). One url
+// can back several local files, so the asset id is tried first.
+function indexPreviousMappings(inventory) {
+  const byAsset = new Map();
+  const byUrl = new Map();
+  const assets = Array.isArray(inventory && inventory.assets) ? inventory.assets : [];
+  assets.forEach((asset) => {
+    if (!asset || !asset.url || !asset.mapped_file) return;
+    byAsset.set(`${asset.assetId}|${asset.url}`, asset.mapped_file);
+    if (!byUrl.has(asset.url)) byUrl.set(asset.url, asset.mapped_file);
+  });
+  return { byAsset, byUrl };
+}
+
+function mapFile(asset, localFiles, previous) {
+  const assetKey = `${asset.assetId}|${asset.url}`;
+  if (previous.byAsset.has(assetKey)) return { file: previous.byAsset.get(assetKey), via: "previous" };
+  if (previous.byUrl.has(asset.url)) return { file: previous.byUrl.get(asset.url), via: "previous" };
+
+  const files = localFiles[asset.assetType];
+  if (!files) return { file: null, via: null };
+  const candidates = [asset.nftMetadata && asset.nftMetadata.filename, asset.title];
+  for (let i = 0; i < candidates.length; i += 1) {
+    const key = normalizeName(candidates[i]);
+    if (key && files.has(key)) return { file: files.get(key), via: "name" };
+  }
+  return { file: null, via: null };
+}
+
+function buildAsset(raw) {
+  const parsed = parseContentUrl(raw.url);
+  const asset = {
+    assetType: inferAssetType(raw, parsed.provider),
+    assetId: pickField(raw, "assetId") !== null ? String(pickField(raw, "assetId")) : null,
+    provider: parsed.provider,
+    url: raw.url,
+    link: pickField(raw, "link") || "",
+    title: pickField(raw, "title"),
+    creator: pickField(raw, "creator"),
+    description: pickField(raw, "description"),
+    contentType: pickField(raw, "contentType"),
+    mapped_file: null,
+    transform: buildTransform(raw)
+  };
+  if (parsed.provider === "opensea" || raw.nftMetadata) {
+    asset.nftMetadata = buildNftMetadata(raw, parsed.descriptor);
+  }
+  return asset;
+}
+
+// Per type, each provider in the order first seen, then the type's total.
+// The hand-made inventory has the total after the first provider instead;
+// nothing reads `counts` by position, so the keys are not reordered to match.
+function countAssets(assets) {
+  const byType = new Map();
+  assets.forEach((asset) => {
+    if (!byType.has(asset.assetType)) byType.set(asset.assetType, new Map());
+    const providers = byType.get(asset.assetType);
+    providers.set(asset.provider, (providers.get(asset.provider) || 0) + 1);
+  });
+
+  const counts = {};
+  byType.forEach((providers, type) => {
+    let total = 0;
+    providers.forEach((count, provider) => {
+      counts[`${type}:${provider}`] = count;
+      total += count;
+    });
+    counts[`${type}:total`] = total;
+  });
+  return counts;
+}
+
+function importSpatialExport(exportData, options) {
+  const localFiles = indexLocalFiles(options.rootDir);
+  const previous = indexPreviousMappings(options.previous);
+  const report = { unmapped: [], missingFiles: [], mappedByName: 0, mappedFromPrevious: 0 };
+
+  const assets = collectContentObjects(exportData, []).map((raw, index) => {
+    const asset = buildAsset(raw);
+    const entry = { index, assetId: asset.assetId, assetType: asset.assetType, title: asset.title };
+
+    const mapping = mapFile(asset, localFiles, previous);
+    asset.mapped_file = mapping.file;
+    if (!mapping.file) {
+      report.unmapped.push(entry);
+    } else {
+      if (mapping.via === "name") report.mappedByName += 1;
+      if (mapping.via === "previous") report.mappedFromPrevious += 1;
+      const filePath = InventoryRules.getAssetFilePath(asset);
+      if (filePath && !fs.existsSync(path.join(options.rootDir, filePath))) {
+        report.missingFiles.push({ ...entry, file: filePath });
+      }
+    }
+    return asset;
+  });
+
+  const inventory = {
+    source: options.sourceName,
+    counts: countAssets(assets),
+    total: assets.length,
+    assets
+  };
+  report.total = assets.length;
+  return { inventory, report };
+}
+
+function describeAsset(entry) {
+  return `#${entry.index} ${entry.assetId || "?"} (${entry.assetType}) ${entry.title || ""}`.trim();
+}
+
+function printReport(report, outPath) {
+  const lines = [
+    `Wrote ${outPath} (${report.total} assets)`,
+    `Mapped from previous inventory: ${report.mappedFromPrevious}`,
+    `Mapped by name: ${report.mappedByName}`,
+    "",
+    `Unmapped: ${report.unmapped.length}`
+  ];
+  report.unmapped.forEach((item) => lines.push(`  ${describeAsset(item)}`));
+  lines.push(`Mapped but missing locally: ${report.missingFiles.length}`);
+  report.missingFiles.forEach((item) => lines.push(`  ${describeAsset(item)}  ${item.file}`));
+  console.log(lines.join("\n"));
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 && index + 1 < args.length ? args[index + 1] : null;
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const asJson = args.includes("--json");
+  const exportArg = args.find((arg, i) => !arg.startsWith("--") && !["--out", "--previous", "--root"].includes(args[i - 1]));
+  if (!exportArg) {
+    console.error("Usage: node tools/import-spatial.js <polymerData.json> [--out file] [--previous file | --no-previous] [--root dir] [--json]");
+    return 2;
+  }
+
+  const exportPath = path.resolve(exportArg);
+  const outPath = path.resolve(getOption(args, "--out") || DEFAULT_OUT);
+  const rootDir = path.resolve(getOption(args, "--root") || ROOT_DIR);
+  const previousPath = args.includes("--no-previous") ? null : path.resolve(getOption(args, "--previous") || outPath);
+
+  let exportData;
+  try {
+    exportData = readJson(exportPath);
+  } catch (err) {
+    console.error(`Could not read ${exportPath}: ${err.message}`);
+    return 2;
+  }
+
+  let previous = null;
+  if (previousPath && fs.existsSync(previousPath)) {
+    try {
+      previous = readJson(previousPath);
+    } catch (err) {
+      console.error(`Ignoring unreadable previous inventory ${previousPath}: ${err.message}`);
+    }
+  }
+
+  const { inventory, report } = importSpatialExport(exportData, {
+    rootDir,
+    previous,
+    sourceName: path.basename(exportPath)
+  });
+  fs.writeFileSync(outPath, `${JSON.stringify(inventory, null, 2)}\n`);
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, path.relative(process.cwd(), outPath) || outPath);
+  }
+  return report.unmapped.length + report.missingFiles.length === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv);
+}
+
+module.exports = { importSpatialExport, parseContentUrl, countAssets };
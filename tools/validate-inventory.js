@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+"use strict";
+
+// Checks an inventory against the files next to it, using the same path and
+// transform rules as the viewer (../inventory-rules.js).
+//
+//   node tools/validate-inventory.js [inventory.json] [--json]
+//
+// Exit codes: 0 clean, 1 issues found, 2 the inventory could not be read.
+
+const fs = require("fs");
+const path = require("path");
+const InventoryRules = require("../inventory-rules");
+
+const DEFAULT_INVENTORY = path.resolve(__dirname, "..", "asset_inventory_full.json");
+const DEGENERATE_EPSILON = 1e-8;
+
+function isValidComponent(value) {
+  return value !== null && value !== undefined && value !== "" && Number.isFinite(Number(value));
+}
+
+function checkVector(name, source, problems, options) {
+  if (source === undefined) return;
+  if (!source || typeof source !== "object") {
+    problems.push(`${name} is not an object`);
+    return;
+  }
+
+  const axes = ["x", "y", "z"];
+  for (let i = 0; i < axes.length; i += 1) {
+    const value = source[axes[i]];
+    if (!isValidComponent(value)) {
+      problems.push(`${name}.${axes[i]} is not a finite number (${JSON.stringify(value)})`);
+    } else if (options.nonZero && Math.abs(Number(value)) < DEGENERATE_EPSILON) {
+      problems.push(`${name}.${axes[i]} is zero`);
+    }
+  }
+}
+
+function checkRotation(source, problems) {
+  if (source === undefined) return;
+
+  const parsed = InventoryRules.parseRotation(source);
+  if (parsed.kind === "identity") {
+    problems.push("rotation is not a quaternion or Euler object");
+    return;
+  }
+
+  const raw = Array.isArray(source)
+    ? { x: source[0], y: source[1], z: source[2], w: source[3] }
+    : source;
+  const keys = parsed.kind === "quaternion" ? ["x", "y", "z", "w"] : ["x", "y", "z"];
+  let invalid = false;
+  for (let i = 0; i < keys.length; i += 1) {
+    if (!isValidComponent(raw[keys[i]])) {
+      problems.push(`rotation.${keys[i]} is not a finite number (${JSON.stringify(raw[keys[i]])})`);
+      invalid = true;
+    }
+  }
+
+  if (!invalid && parsed.kind === "quaternion") {
+    const length = Math.hypot(parsed.x, parsed.y, parsed.z, parsed.w);
+    if (length < DEGENERATE_EPSILON) problems.push("rotation quaternion has zero length");
+  }
+}
+
+function checkTransform(transform) {
+  const problems = [];
+  if (!transform || typeof transform !== "object") {
+    problems.push("transform is missing");
+    return problems;
+  }
+
+  checkVector("position", transform.position, problems, { nonZero: false });
+  checkVector("scale", transform.scale, problems, { nonZero: true });
+  checkRotation(transform.rotation, problems);
+  return problems;
+}
+
+function listFiles(rootDir, relativeDir) {
+  const dir = path.join(rootDir, relativeDir);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => `${relativeDir}${entry.name}`);
+}
+
+function validateInventory(inventory, rootDir) {
+  const assets = Array.isArray(inventory && inventory.assets) ? inventory.assets : [];
+  const report = {
+    total: assets.length,
+    missingFiles: [],
+    orphanFiles: [],
+    invalidTransforms: [],
+    unsupportedTypes: []
+  };
+  const referenced = new Set();
+
+  for (let i = 0; i < assets.length; i += 1) {
+    const asset = assets[i] || {};
+    const entry = { index: i, assetId: asset.assetId || null, assetType: asset.assetType || null };
+
+    if (!InventoryRules.isSupportedAssetType(asset.assetType)) {
+      report.unsupportedTypes.push(entry);
+    } else {
+      const filePath = InventoryRules.getAssetFilePath(asset);
+      if (!filePath) {
+        report.missingFiles.push({ ...entry, file: null, reason: "mapped_file not set" });
+      } else {
+        referenced.add(filePath);
+        if (!fs.existsSync(path.join(rootDir, filePath))) {
+          report.missingFiles.push({ ...entry, file: filePath, reason: "file not found" });
+        }
+      }
+    }
+
+    const problems = checkTransform(asset.transform);
+    if (problems.length > 0) report.invalidTransforms.push({ ...entry, problems });
+  }
+
+  const dirs = Object.keys(InventoryRules.ASSET_TYPE_PATHS).map(
+    (type) => InventoryRules.ASSET_TYPE_PATHS[type]
+  );
+  for (let i = 0; i < dirs.length; i += 1) {
+    const files = listFiles(rootDir, dirs[i]);
+    for (let j = 0; j < files.length; j += 1) {
+      if (!referenced.has(files[j])) report.orphanFiles.push(files[j]);
+    }
+  }
+
+  report.issueCount =
+    report.missingFiles.length +
+    report.orphanFiles.length +
+    report.invalidTransforms.length +
+    report.unsupportedTypes.length;
+  return report;
+}
+
+function describeAsset(entry) {
+  return `#${entry.index} ${entry.assetId || "?"} (${entry.assetType || "no type"})`;
+}
+
+function printReport(report, inventoryPath) {
+  const lines = [`Inventory: ${inventoryPath} (${report.total} assets)`, ""];
+
+  lines.push(`Missing files: ${report.missingFiles.length}`);
+  for (const item of report.missingFiles) {
+    lines.push(`  ${describeAsset(item)}  ${item.file || "-"}  ${item.reason}`);
+  }
+
+  lines.push(`Orphan files: ${report.orphanFiles.length}`);
+  for (const file of report.orphanFiles) lines.push(`  ${file}`);
+
+  lines.push(`Invalid transforms: ${report.invalidTransforms.length}`);
+  for (const item of report.invalidTransforms) {
+    lines.push(`  ${describeAsset(item)}  ${item.problems.join("; ")}`);
+  }
+
+  lines.push(`Unsupported types: ${report.unsupportedTypes.length}`);
+  for (const item of report.unsupportedTypes) lines.push(`  ${describeAsset(item)}`);
+
+  lines.push("", report.issueCount === 0 ? "OK" : `FAIL: ${report.issueCount} issue(s)`);
+  console.log(lines.join("\n"));
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const asJson = args.includes("--json");
+  const positional = args.filter((arg) => !arg.startsWith("--"));
+  const inventoryPath = path.resolve(positional[0] || DEFAULT_INVENTORY);
+
+  let inventory;
+  try {
+    inventory = JSON.parse(fs.readFileSync(inventoryPath, "utf8"));
+  } catch (err) {
+    console.error(`Could not read ${inventoryPath}: ${err.message}`);
+    return 2;
+  }
+
+  const report = validateInventory(inventory, path.dirname(inventoryPath));
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, path.relative(process.cwd(), inventoryPath) || inventoryPath);
+  }
+  return report.issueCount === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv);
+}
+
+module.exports = { validateInventory, checkTransform };
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+"use strict";
+
+// Copies the third-party files both viewers load into vendor/, so the
+// exhibition machines can run them without network access. Files come from
+// the npm registry tarballs of the exact versions the pages used to pull
+// from CDNs, and keep their package paths:
+//   vendor/<package>@<version>/<path inside the package>
+//
+//   node tools/vendor-deps.js [--check]
+//
+// --check only reports missing files. Exit codes: 0 ok, 1 files missing or
+// a download failed.
+
+const fs = require("fs");
+const path = require("path");
+const https = require("https");
+const zlib = require("zlib");
+
+const VENDOR_DIR = path.resolve(__dirname, "..", "vendor");
+const REGISTRY = (process.env.npm_config_registry || "https://registry.npmjs.org/").replace(/\/?$/, "/");
+
+const VENDOR_PACKAGES = [
+  {
+    name: "three",
+    version: "0.115.0",
+    files: [
+      "build/three.min.js",
+      "examples/js/controls/OrbitControls.js",
+      "examples/js/controls/PointerLockControls.js",
+      "examples/js/loaders/GLTFLoader.js",
+      "examples/js/utils/SkeletonUtils.js",
+      "examples/js/exporters/GLTFExporter.js",
+      "examples/js/loaders/BasisTextureLoader.js",
+      "examples/js/libs/basis/basis_transcoder.js",
+      "examples/js/libs/basis/basis_transcoder.wasm"
+    ]
+  },
+  {
+    name: "pdfjs-dist",
+    version: "2.16.105",
+    files: ["build/pdf.min.js", "build/pdf.worker.min.js"]
+  },
+  {
+    name: "bootstrap",
+    version: "5.1.3",
+    files: ["dist/css/bootstrap.min.css", "dist/js/bootstrap.min.js"]
+  },
+  { name: "jquery", version: "3.6.0", files: ["dist/jquery.min.js"] },
+  { name: "@popperjs/core", version: "2.10.2", files: ["dist/umd/popper.min.js"] },
+  {
+    name: "@fontsource/manrope",
+    version: "4.5.13",
+    files: [400, 500, 600, 700].reduce(
+      (list, weight) =>
+        list.concat([
+          `latin-${weight}.css`,
+          `files/manrope-latin-${weight}-normal.woff2`,
+          `files/manrope-latin-${weight}-normal.woff`
+        ]),
+      []
+    )
+  }
+];
+
+function getPackageDir(pkg) {
+  return path.join(VENDOR_DIR, `${pkg.name}@${pkg.version}`);
+}
+
+function getTarballUrl(pkg) {
+  const baseName = pkg.name.split("/").pop();
+  return `${REGISTRY}${pkg.name}/-/${baseName}-${pkg.version}.tgz`;
+}
+
+function download(url, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    https
+      .get(url, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+          res.resume();
+          resolve(download(new URL(res.headers.location, url).toString(), redirects - 1));
+          return;
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(`GET ${url} failed (${res.statusCode})`));
+          return;
+        }
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => resolve(Buffer.concat(chunks)));
+        res.on("error", reject);
+      })
+      .on("error", reject);
+  });
+}
+
+function readTarString(buffer, start, length) {
+  const end = buffer.indexOf(0, start);
+  return buffer.toString("utf8", start, end >= 0 && end < start + length ? end : start + length);
+}
+
+// Minimal ustar reader: regular files only, paths relative to the package
+// root (npm tarballs wrap everything in one top-level folder).
+function extractTarFiles(tar, wanted) {
+  const found = new Map();
+  let offset = 0;
+
+  while (offset + 512 <= tar.length) {
+    const name = readTarString(tar, offset, 100);
+    if (!name) break;
+
+    const size = parseInt(readTarString(tar, offset + 124, 12).trim() || "0", 8);
+    const type = String.fromCharCode(tar[offset + 156] || 48);
+    const prefix = readTarString(tar, offset + 345, 155);
+    const fullName = prefix ? `${prefix}/${name}` : name;
+    const relative = fullName.split("/").slice(1).join("/");
+
+    if ((type === "0" || type === "\0") && wanted.has(relative)) {
+      found.set(relative, tar.subarray(offset + 512, offset + 512 + size));
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+
+  return found;
+}
+
+function listMissing(pkg) {
+  const dir = getPackageDir(pkg);
+  return pkg.files.filter((file) => !fs.existsSync(path.join(dir, file)));
+}
+
+async function vendorPackage(pkg) {
+  const missing = listMissing(pkg);
+  if (missing.length === 0) return 0;
+
+  const tarball = zlib.gunzipSync(await download(getTarballUrl(pkg)));
+  const files = extractTarFiles(tarball, new Set(missing));
+
+  for (const file of missing) {
+    const data = files.get(file);
+    if (!data) throw new Error(`${pkg.name}@${pkg.version} has no ${file}`);
+    const target = path.join(getPackageDir(pkg), file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, data);
+  }
+  return missing.length;
+}
+
+async function main(argv) {
+  const checkOnly = argv.slice(2).includes("--check");
+  let failed = false;
+
+  for (const pkg of VENDOR_PACKAGES) {
+    const label = `${pkg.name}@${pkg.version}`;
+    if (checkOnly) {
+      const missing = listMissing(pkg);
+      if (missing.length > 0) failed = true;
+      console.log(missing.length === 0 ? `ok       ${label}` : `missing  ${label}: ${missing.join(", ")}`);
+      continue;
+    }
+
+    try {
+      const written = await vendorPackage(pkg);
+      console.log(written === 0 ? `ok       ${label}` : `fetched  ${label} (${written} file(s))`);
+    } catch (err) {
+      failed = true;
+      console.error(`failed   ${label}: ${err.message}`);
+    }
+  }
+
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { VENDOR_PACKAGES, extractTarFiles };
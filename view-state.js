@@ -0,0 +1,134 @@
+"use strict";
+
+// Shared by the inventory viewer and the sculpture viewer. A view is
+// { camera: { position, target }, selection, filters } with plain {x, y, z}
+// vectors and string values, so it round-trips through the URL hash,
+// localStorage and exported JSON unchanged.
+window.ViewState = (function () {
+  const VIEWPOINTS_SCHEMA_VERSION = 1;
+  const VECTOR_PRECISION = 3;
+  const FILTER_PREFIX = "f.";
+
+  function formatVector(v) {
+    return [v.x, v.y, v.z].map((n) => String(Number(Number(n).toFixed(VECTOR_PRECISION)))).join(",");
+  }
+
+  function parseVector(text) {
+    if (!text) return null;
+    const parts = String(text).split(",").map(Number);
+    if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+    return { x: parts[0], y: parts[1], z: parts[2] };
+  }
+
+  // Empty values are left out so unchanged filters do not clutter the link.
+  function toHash(view) {
+    const params = new URLSearchParams();
+    if (view.camera) {
+      params.set("cam", formatVector(view.camera.position));
+      params.set("tgt", formatVector(view.camera.target));
+    }
+    if (view.selection) params.set("sel", view.selection);
+
+    const filters = view.filters || {};
+    Object.keys(filters).forEach((key) => {
+      if (filters[key]) params.set(`${FILTER_PREFIX}${key}`, filters[key]);
+    });
+
+    // Commas are safe in a fragment; keeping them makes vectors readable.
+    const text = params.toString().replace(/%2C/gi, ",");
+    return text ? `#${text}` : "";
+  }
+
+  // Returns null when the hash holds no view at all; a view with only some
+  // parts set has the others as null / {}.
+  function fromHash(hash) {
+    const text = String(hash || "").replace(/^#/, "");
+    if (!text) return null;
+
+    const params = new URLSearchParams(text);
+    const position = parseVector(params.get("cam"));
+    const target = parseVector(params.get("tgt"));
+    const filters = {};
+    params.forEach((value, key) => {
+      if (key.startsWith(FILTER_PREFIX)) filters[key.slice(FILTER_PREFIX.length)] = value;
+    });
+
+    const view = {
+      camera: position && target ? { position, target } : null,
+      selection: params.get("sel") || null,
+      filters
+    };
+    if (!view.camera && !view.selection && Object.keys(filters).length === 0) return null;
+    return view;
+  }
+
+  // replaceState keeps camera moves out of the back button history and does
+  // not fire hashchange, so viewers can tell shared links from their own writes.
+  function writeHash(view) {
+    const url = `${window.location.pathname}${window.location.search}${toHash(view)}`;
+    window.history.replaceState(window.history.state, "", url);
+  }
+
+  function getShareUrl(view) {
+    return `${window.location.origin}${window.location.pathname}${window.location.search}${toHash(view)}`;
+  }
+
+  function readViewpoints(storageKey) {
+    try {
+      const list = JSON.parse(localStorage.getItem(storageKey) || "[]");
+      return Array.isArray(list) ? list.filter((item) => item && item.name && item.view) : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function writeViewpoints(storageKey, list) {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(list));
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // Saving under an existing name replaces that viewpoint in place.
+  function saveViewpoint(storageKey, name, view) {
+    const list = readViewpoints(storageKey);
+    const entry = { name, view, savedAt: new Date().toISOString() };
+    const index = list.findIndex((item) => item.name === name);
+    if (index >= 0) {
+      list[index] = entry;
+    } else {
+      list.push(entry);
+    }
+    return writeViewpoints(storageKey, list) ? list : null;
+  }
+
+  function removeViewpoint(storageKey, name) {
+    const list = readViewpoints(storageKey).filter((item) => item.name !== name);
+    writeViewpoints(storageKey, list);
+    return list;
+  }
+
+  function exportViewpoints(storageKey, scope) {
+    const payload = {
+      schema_version: VIEWPOINTS_SCHEMA_VERSION,
+      scope,
+      viewpoints: readViewpoints(storageKey)
+    };
+    return JSON.stringify(payload, null, 2);
+  }
+
+  return {
+    formatVector,
+    parseVector,
+    toHash,
+    fromHash,
+    writeHash,
+    getShareUrl,
+    readViewpoints,
+    saveViewpoint,
+    removeViewpoint,
+    exportViewpoints
+  };
+})();